@@ -7,6 +7,27 @@
  * @license ISC
  */
 
+const {
+  SettingsDecryptionError,
+  SettingsKeyPathError,
+  SettingsLockError,
+  SettingsValidationError
+} = require('./lib/settings-errors');
 const Settings = require('./lib/settings');
+const SettingsDirectoryBackend = require('./lib/settings-directory-backend');
+const SettingsFileBackend = require('./lib/settings-file-backend');
+const SettingsIpcBackend = require('./lib/settings-ipc-backend');
+const SettingsIpcServer = require('./lib/settings-ipc-server');
+const SettingsMemoryBackend = require('./lib/settings-memory-backend');
 
 module.exports = new Settings();
+module.exports.Settings = Settings;
+module.exports.SettingsDecryptionError = SettingsDecryptionError;
+module.exports.SettingsKeyPathError = SettingsKeyPathError;
+module.exports.SettingsLockError = SettingsLockError;
+module.exports.SettingsValidationError = SettingsValidationError;
+module.exports.SettingsDirectoryBackend = SettingsDirectoryBackend;
+module.exports.SettingsFileBackend = SettingsFileBackend;
+module.exports.SettingsIpcBackend = SettingsIpcBackend;
+module.exports.SettingsIpcServer = SettingsIpcServer;
+module.exports.SettingsMemoryBackend = SettingsMemoryBackend;
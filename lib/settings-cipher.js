@@ -0,0 +1,100 @@
+/**
+ * A module that encrypts and decrypts settings with an authenticated
+ * cipher.
+ *
+ * @module settings-cipher
+ * @author Nathan Buchar
+ * @copyright 2016-2017 Nathan Buchar <hello@nathanbuchar.com>
+ * @license ISC
+ */
+
+const crypto = require('crypto');
+
+/**
+ * The name of the cipher algorithm.
+ *
+ * @type {string}
+ */
+const algorithm = 'aes-256-gcm';
+
+/**
+ * The prefix of encrypted contents. Encrypted contents are formatted as
+ * the prefix followed by the base64 encoded salt, initialization vector,
+ * authentication tag and ciphertext, separated by colons.
+ *
+ * @type {string}
+ */
+const prefix = `electron-settings:${algorithm}:`;
+
+/**
+ * Returns a boolean indicating whether the given contents were encrypted
+ * by this module.
+ *
+ * @param {string} contents
+ * @returns {boolean}
+ */
+const isEncrypted = contents => contents.indexOf(prefix) === 0;
+
+module.exports.isEncrypted = isEncrypted;
+
+/**
+ * Creates a cipher that encrypts and decrypts contents with a key derived
+ * from the given encryption key. Contents that were not encrypted are
+ * decrypted as is, so that unencrypted contents are encrypted the next time
+ * they are written.
+ *
+ * @param {string|Buffer} encryptionKey
+ * @returns {{ encrypt: Function, decrypt: Function }}
+ */
+module.exports.createCipher = encryptionKey => {
+  const salt = crypto.randomBytes(16);
+  const keys = new Map();
+
+  // Deriving a key is deliberately slow, so derive each key only once.
+  const deriveKey = salt => {
+    const id = salt.toString('base64');
+
+    if (!keys.has(id)) {
+      keys.set(id, crypto.scryptSync(encryptionKey, salt, 32));
+    }
+
+    return keys.get(id);
+  };
+
+  return {
+
+    /**
+     * Encrypts the given plaintext.
+     *
+     * @param {string} plaintext
+     * @returns {string}
+     */
+    encrypt(plaintext) {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv(algorithm, deriveKey(salt), iv);
+      const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+      const parts = [salt, iv, cipher.getAuthTag(), ciphertext];
+
+      return prefix + parts.map(part => part.toString('base64')).join(':') + '\n';
+    },
+
+    /**
+     * Decrypts the given contents. Throws if the contents were encrypted
+     * with a different key or have been tampered with.
+     *
+     * @param {string} contents
+     * @returns {string}
+     */
+    decrypt(contents) {
+      if (!isEncrypted(contents)) return contents;
+
+      const parts = contents.trim().slice(prefix.length).split(':');
+      const [salt, iv, tag, ciphertext] = parts.map(part => Buffer.from(part, 'base64'));
+      const decipher = crypto.createDecipheriv(algorithm, deriveKey(salt), iv);
+
+      decipher.setAuthTag(tag);
+
+      return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+    }
+  };
+};
@@ -0,0 +1,405 @@
+/**
+ * A module that stores each top level setting in its own file within a
+ * directory, so that changing one setting only rewrites the file that it
+ * is stored in. Each file contains a settings object with only that top
+ * level setting, written with the settings serializer.
+ *
+ * Serializers that keep state between parsing and stringifying, such as
+ * the JSON5 serializer, only keep the state of the last file read.
+ *
+ * @see module:settings-file-backend for the backend interface.
+ * @module settings-directory-backend
+ * @author Nathan Buchar
+ * @copyright 2016-2017 Nathan Buchar <hello@nathanbuchar.com>
+ * @license ISC
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const FileBackend = require('./settings-file-backend');
+const Helpers = require('./settings-helpers');
+const Lock = require('./settings-lock');
+
+/**
+ * The suffix appended to the directory path to get the path of the
+ * lockfile, which is kept outside of the directory so that it is not
+ * watched and does not need the directory to exist.
+ *
+ * @type {string}
+ */
+const lockFileSuffix = '.lock';
+
+class SettingsDirectoryBackend {
+
+  constructor(dirPath, opts = {}) {
+    assert.strictEqual(typeof dirPath, 'string', 'First parameter must be a string');
+    assert.strictEqual(typeof opts, 'object', 'Second parameter must be an object');
+
+    /**
+     * The absolute path to the settings directory.
+     *
+     * @type {string}
+     * @private
+     */
+    this._dirPath = dirPath;
+
+    /**
+     * The backend options.
+     *
+     * @type {Object}
+     * @private
+     */
+    this._opts = Object.assign({}, SettingsDirectoryBackend.DefaultOptions, opts);
+
+    /**
+     * The values of the top level settings as they were last read or
+     * written, serialized as JSON and keyed by top level key. Used to only
+     * rewrite the files of settings that have changed.
+     *
+     * @type {Map}
+     * @private
+     */
+    this._storedValues = new Map();
+
+    /**
+     * The top level key of the settings file that could not be parsed when
+     * the settings were last read, if any.
+     *
+     * @type {string}
+     * @default null
+     * @private
+     */
+    this._corruptKey = null;
+
+    /**
+     * The FSWatcher instance. This will watch the settings directory and
+     * notify the watch handler.
+     *
+     * @type {FSWatcher}
+     * @default null
+     * @private
+     */
+    this._fsWatcher = null;
+
+    /**
+     * The function called when the settings directory is changed outside of
+     * this backend.
+     *
+     * @type {Function}
+     * @default null
+     * @private
+     */
+    this._watchHandler = null;
+
+    /**
+     * Called when a file in the settings directory is changed or renamed.
+     *
+     * @type {Object}
+     * @private
+     */
+    this._handleDirChange = this._onDirChange.bind(this);
+  }
+
+  /**
+   * Returns the extension of the settings files, including the leading dot.
+   *
+   * @returns {string}
+   * @private
+   */
+  _getExtension() {
+    return `.${this._opts.fileExtension.replace(/^\./, '')}`;
+  }
+
+  /**
+   * Returns the backend for the file that the given top level setting is
+   * stored in.
+   *
+   * @param {string} key
+   * @returns {SettingsFileBackend}
+   * @private
+   */
+  _getFileBackend(key) {
+    const fileName = encodeURIComponent(key) + this._getExtension();
+
+    return new FileBackend(path.join(this._dirPath, fileName));
+  }
+
+  /**
+   * Returns the top level keys of the settings stored in the settings
+   * directory, or null if the directory does not exist. Files named after
+   * unsafe keys are ignored.
+   *
+   * @returns {string[]}
+   * @private
+   */
+  _readKeys() {
+    const extension = this._getExtension();
+    let fileNames;
+
+    try {
+      fileNames = fs.readdirSync(this._dirPath);
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+
+      throw err;
+    }
+
+    return fileNames
+      .filter(fileName => fileName.endsWith(extension))
+      .map(fileName => decodeURIComponent(fileName.slice(0, -extension.length)))
+      .filter(key => !Helpers.isUnsafeKey(key));
+  }
+
+  /**
+   * Watches the settings directory for changes in case a settings file is
+   * changed outside of this backend.
+   *
+   * @private
+   */
+  _watchDir() {
+    if (this._watchHandler && !this._fsWatcher) {
+      try {
+        this._fsWatcher = fs.watch(this._dirPath, this._handleDirChange);
+      } catch (err) {
+        // Directory may not exist yet or the user may not have permission
+        // to access it. Fail gracefully.
+      }
+    }
+  }
+
+  /**
+   * Watches the settings directory again, so that changes made by this
+   * backend are not reported by the FSWatcher.
+   *
+   * @private
+   */
+  _rewatchDir() {
+    if (this._fsWatcher) {
+      this._fsWatcher.close();
+      this._fsWatcher = null;
+    }
+
+    this._watchDir();
+  }
+
+  /**
+   * Called when a file in the settings directory has been changed or
+   * renamed.
+   *
+   * @param {string} eventType
+   * @param {string} fileName
+   * @private
+   */
+  _onDirChange(eventType, fileName) {
+    // Ignore temporary files and other files that are not settings files.
+    if (fileName && !fileName.endsWith(this._getExtension())) return;
+
+    if (this._watchHandler) {
+      this._watchHandler();
+    }
+  }
+
+  /**
+   * Returns the stored settings object, or null if the settings directory
+   * does not exist.
+   *
+   * @param {Object} serializer
+   * @returns {Object}
+   * @public
+   */
+  read(serializer) {
+    const keys = this._readKeys();
+
+    if (!keys) return null;
+
+    const obj = {};
+
+    this._storedValues.clear();
+
+    keys.forEach(key => {
+      let fileObj;
+
+      try {
+        fileObj = this._getFileBackend(key).read(serializer);
+      } catch (err) {
+        // Remember which file is corrupt, so that only it is moved aside.
+        if (err instanceof SyntaxError) {
+          this._corruptKey = key;
+        }
+
+        throw err;
+      }
+
+      // The file may have been deleted since the directory was read.
+      if (fileObj && Object.prototype.hasOwnProperty.call(fileObj, key)) {
+        obj[key] = fileObj[key];
+        this._storedValues.set(key, JSON.stringify(fileObj[key]));
+      }
+    });
+
+    return obj;
+  }
+
+  /**
+   * Writes the files of the top level settings that have changed since
+   * they were last read or written, and deletes the files of top level
+   * settings that no longer exist.
+   *
+   * @param {Object} obj
+   * @param {Object} serializer
+   * @public
+   */
+  write(obj, serializer) {
+    fs.mkdirSync(this._dirPath, { recursive: true });
+
+    const storedKeys = this._readKeys();
+
+    Object.keys(obj).forEach(key => {
+      const value = JSON.stringify(obj[key]);
+
+      if (typeof value === 'undefined') return;
+
+      if (this._storedValues.get(key) !== value || storedKeys.indexOf(key) === -1) {
+        this._getFileBackend(key).write({ [key]: obj[key] }, serializer);
+        this._storedValues.set(key, value);
+      }
+    });
+
+    storedKeys.forEach(key => {
+      if (!Object.prototype.hasOwnProperty.call(obj, key)) {
+        fs.unlinkSync(this._getFileBackend(key).file());
+        this._storedValues.delete(key);
+      }
+    });
+
+    this._rewatchDir();
+  }
+
+  /**
+   * Writes the files of all top level settings, whether or not they have
+   * changed.
+   *
+   * @param {Object} obj
+   * @param {Object} serializer
+   * @public
+   */
+  rewrite(obj, serializer) {
+    this._storedValues.clear();
+    this.write(obj, serializer);
+  }
+
+  /**
+   * Calls the given handler whenever a settings file is changed outside of
+   * this backend. Returns a function that stops watching.
+   *
+   * @param {Function} handler
+   * @returns {Function}
+   * @public
+   */
+  watch(handler) {
+    assert.strictEqual(typeof handler, 'function', 'First parameter must be a function');
+
+    this._watchHandler = handler;
+    this._watchDir();
+
+    return () => {
+      if (this._watchHandler === handler) {
+        this._watchHandler = null;
+        this._rewatchDir();
+      }
+    };
+  }
+
+  /**
+   * Moves the settings file that could not be parsed aside, so that it is
+   * never overwritten, and keeps the other settings files. Returns the path
+   * that it was moved to.
+   *
+   * @returns {string}
+   * @public
+   */
+  recover() {
+    const key = this._corruptKey;
+    const corruptFilePath = this._getFileBackend(key).recover();
+
+    this._corruptKey = null;
+    this._storedValues.delete(key);
+    this._rewatchDir();
+
+    return corruptFilePath;
+  }
+
+  /**
+   * Returns the settings object stored in the settings files that were not
+   * moved aside. Any other settings file that cannot be parsed is moved
+   * aside too.
+   *
+   * @param {Object} serializer
+   * @returns {Object}
+   * @public
+   */
+  restore(serializer) {
+    try {
+      return this.read(serializer) || {};
+    } catch (err) {
+      if (!(err instanceof SyntaxError)) throw err;
+
+      this.recover();
+
+      return this.restore(serializer);
+    }
+  }
+
+  /**
+   * Locks the settings directory so that other processes cannot change it
+   * until the returned function is called.
+   *
+   * @param {Object} opts
+   * @param {number} opts.timeout
+   * @param {number} opts.staleAge
+   * @returns {Function}
+   * @public
+   */
+  lock(opts) {
+    return Lock.acquire(this._dirPath + lockFileSuffix, opts);
+  }
+
+  /**
+   * Asynchronously locks the settings directory.
+   *
+   * @see SettingsDirectoryBackend#lock
+   * @param {Object} opts
+   * @param {number} opts.timeout
+   * @param {number} opts.staleAge
+   * @returns {Promise.<Function>}
+   * @public
+   */
+  lockAsync(opts) {
+    return Lock.acquireAsync(this._dirPath + lockFileSuffix, opts);
+  }
+
+  /**
+   * Returns the absolute path to the settings directory.
+   *
+   * @returns {string}
+   * @public
+   */
+  dir() {
+    return this._dirPath;
+  }
+}
+
+/**
+ * SettingsDirectoryBackend default options.
+ *
+ * @type {Object}
+ * @property {string} fileExtension - The extension of the settings files.
+ * @readonly
+ */
+SettingsDirectoryBackend.DefaultOptions = {
+  fileExtension: 'json'
+};
+
+module.exports = SettingsDirectoryBackend;
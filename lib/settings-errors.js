@@ -0,0 +1,137 @@
+/**
+ * A module that contains the errors thrown by electron-settings.
+ *
+ * @module settings-errors
+ * @author Nathan Buchar
+ * @copyright 2016-2017 Nathan Buchar <hello@nathanbuchar.com>
+ * @license ISC
+ */
+
+/**
+ * Thrown when a value does not match the settings schema.
+ *
+ * @extends Error
+ * @class
+ */
+class SettingsValidationError extends Error {
+
+  constructor(errors) {
+    const [{ keyPath, message }] = errors;
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+
+    super(`Invalid setting at "${keyPath}": ${message}${more}`);
+
+    this.name = this.constructor.name;
+
+    /**
+     * The key path of the first invalid value.
+     *
+     * @type {string}
+     * @public
+     */
+    this.keyPath = keyPath;
+
+    /**
+     * All violations that were found, each with the key path of the invalid
+     * value and a message describing the problem.
+     *
+     * @type {Object[]}
+     * @public
+     */
+    this.errors = errors;
+  }
+}
+
+/**
+ * Thrown when the settings file cannot be decrypted, usually because the
+ * encryption key is wrong or because no encryption key is configured.
+ *
+ * @extends Error
+ * @class
+ */
+class SettingsDecryptionError extends Error {
+
+  constructor(cause = null) {
+    const reason = cause
+      ? `The encryption key may be wrong. (${cause.message})`
+      : 'The settings file is encrypted, but no encryption key or cipher is configured.';
+
+    super(`Could not decrypt the settings file. ${reason}`);
+
+    this.name = this.constructor.name;
+
+    /**
+     * The error thrown by the cipher, or null if there is no cipher.
+     *
+     * @type {Error}
+     * @public
+     */
+    this.cause = cause;
+  }
+}
+
+/**
+ * Thrown when the settings lock cannot be acquired in time, usually because
+ * another process is writing the settings.
+ *
+ * @extends Error
+ * @class
+ */
+class SettingsLockError extends Error {
+
+  constructor(lockPath, timeout, owner) {
+    const heldBy = owner && owner.pid ? ` It is held by process ${owner.pid}.` : '';
+
+    super(`Could not acquire the settings lock "${lockPath}" within ${timeout}ms.${heldBy}`);
+
+    this.name = this.constructor.name;
+
+    /**
+     * The path to the lockfile.
+     *
+     * @type {string}
+     * @public
+     */
+    this.lockPath = lockPath;
+
+    /**
+     * The process that holds the lock, with its `pid` and `hostname`, or
+     * null if it is unknown.
+     *
+     * @type {Object}
+     * @public
+     */
+    this.owner = owner;
+  }
+}
+
+/**
+ * Thrown when a value cannot be set or deleted at a key path, because the
+ * key path contains a key that could change the prototype of an object, or
+ * because the value would have to be set within a value that is not an
+ * object.
+ *
+ * @extends Error
+ * @class
+ */
+class SettingsKeyPathError extends Error {
+
+  constructor(keyPath, message) {
+    super(`Invalid key path "${keyPath}": ${message}`);
+
+    this.name = this.constructor.name;
+
+    /**
+     * The key path that was given.
+     *
+     * @type {string}
+     * @public
+     */
+    this.keyPath = keyPath;
+  }
+}
+
+module.exports.SettingsValidationError = SettingsValidationError;
+module.exports.SettingsDecryptionError = SettingsDecryptionError;
+module.exports.SettingsLockError = SettingsLockError;
+module.exports.SettingsKeyPathError = SettingsKeyPathError;
@@ -0,0 +1,559 @@
+/**
+ * A module that stores settings in a single file. This is the default
+ * settings backend.
+ *
+ * A settings backend stores the settings object. It must have the
+ * following methods:
+ *
+ * - `read(serializer)` returns the stored settings object, or null if no
+ *   settings have been stored yet. Throws a SyntaxError if the stored
+ *   settings are corrupt.
+ * - `write(obj, serializer)` stores the given settings object.
+ * - `watch(handler)` calls the given handler whenever the stored settings
+ *   are changed outside of the backend, and returns a function that stops
+ *   watching.
+ *
+ * The serializer has `parse` and `stringify` methods that convert between
+ * the settings object and a string, applying the `serializer` and
+ * encryption options of the settings instance. Backends that store strings
+ * should use it; backends that store objects may ignore it.
+ *
+ * A backend may also have the following methods:
+ *
+ * - `readAsync(serializer)` and `writeAsync(obj, serializer)`, which
+ *   return promises. The synchronous methods are used otherwise.
+ * - `rewrite(obj, serializer)`, which stores the given settings object
+ *   and rewrites any copies of it, such as backups, with the given
+ *   serializer. Called when the settings are re-encrypted.
+ * - `recover(err)`, which moves corrupt settings aside so that they are
+ *   never overwritten, and returns where they were moved to.
+ * - `restore(serializer)`, which restores and returns the last good
+ *   settings object, or throws if there is none.
+ * - `lock(opts)` and `lockAsync(opts)`, which acquire a lock on the stored
+ *   settings shared with other processes, waiting for up to `opts.timeout`
+ *   milliseconds and breaking locks older than `opts.staleAge`
+ *   milliseconds. They return a function that releases the lock, or
+ *   a promise of one, and throw a SettingsLockError if the lock could not
+ *   be acquired in time.
+ * - `defaults()`, which returns defaults that are deeply merged under the
+ *   settings as they were last read, beneath the defaults of the settings
+ *   instance.
+ *
+ * @module settings-file-backend
+ * @author Nathan Buchar
+ * @copyright 2016-2017 Nathan Buchar <hello@nathanbuchar.com>
+ * @license ISC
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+
+const Lock = require('./settings-lock');
+
+/**
+ * The suffix appended to the settings file path to get the path of the
+ * settings file backup.
+ *
+ * @type {string}
+ */
+const backupFileSuffix = '.bak';
+
+/**
+ * The suffix appended to the settings file path, followed by a timestamp,
+ * to get the path that a corrupt settings file is moved to.
+ *
+ * @type {string}
+ */
+const corruptFileSuffix = '.corrupt-';
+
+/**
+ * The suffix appended to the settings file path to get the path of the
+ * lockfile.
+ *
+ * @type {string}
+ */
+const lockFileSuffix = '.lock';
+
+/**
+ * The number of temporary files that have been created. Used to generate
+ * unique temporary file names.
+ *
+ * @type {number}
+ */
+let tempFileCount = 0;
+
+/**
+ * Returns a unique path for a temporary file in the same directory as the
+ * given file path.
+ *
+ * @param {string} filePath
+ * @returns {string}
+ */
+const getTempFilePath = filePath => {
+  const tempFilePath = `${filePath}.${process.pid}.${tempFileCount}.tmp`;
+
+  tempFileCount += 1;
+
+  return tempFilePath;
+};
+
+class SettingsFileBackend {
+
+  constructor(filePath, opts = {}) {
+    assert.strictEqual(typeof filePath, 'string', 'First parameter must be a string');
+    assert.strictEqual(typeof opts, 'object', 'Second parameter must be an object');
+
+    /**
+     * The absolute path to the settings file.
+     *
+     * @type {string}
+     * @private
+     */
+    this._filePath = filePath;
+
+    /**
+     * The backend options.
+     *
+     * @type {Object}
+     * @private
+     */
+    this._opts = Object.assign({}, SettingsFileBackend.DefaultOptions, opts);
+
+    /**
+     * The FSWatcher instance. This will watch if the settings file and
+     * notify the watch handler.
+     *
+     * @type {FSWatcher}
+     * @default null
+     * @private
+     */
+    this._fsWatcher = null;
+
+    /**
+     * The function called when the settings file is changed outside of
+     * this backend.
+     *
+     * @type {Function}
+     * @default null
+     * @private
+     */
+    this._watchHandler = null;
+
+    /**
+     * Called when the settings file is changed or renamed.
+     *
+     * @type {Object}
+     * @private
+     */
+    this._handleFileChange = this._onFileChange.bind(this);
+  }
+
+  /**
+   * Returns the path to the backup of the settings file.
+   *
+   * @returns {string}
+   * @private
+   */
+  _getBackupFilePath() {
+    return this._filePath + backupFileSuffix;
+  }
+
+  /**
+   * Writes the given contents to the given file path atomically. The
+   * contents are first written to a temporary file in the same directory
+   * and flushed to the disk, then renamed over the original file, so the
+   * original is never left truncated if the write is interrupted.
+   *
+   * @param {string} filePath
+   * @param {string} contents
+   * @private
+   */
+  _writeFileAtomic(filePath, contents) {
+    const tempFilePath = getTempFilePath(filePath);
+
+    try {
+      const fd = fs.openSync(tempFilePath, 'w');
+
+      try {
+        fs.writeSync(fd, contents);
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+
+      fs.renameSync(tempFilePath, filePath);
+    } catch (err) {
+      try {
+        fs.unlinkSync(tempFilePath);
+      } catch (err) {
+        // Temporary file may not exist.
+      }
+
+      throw err;
+    }
+  }
+
+  /**
+   * Asynchronously writes the given contents to the given file path
+   * atomically.
+   *
+   * @see SettingsFileBackend#_writeFileAtomic
+   * @param {string} filePath
+   * @param {string} contents
+   * @returns {Promise}
+   * @private
+   */
+  async _writeFileAtomicAsync(filePath, contents) {
+    const tempFilePath = getTempFilePath(filePath);
+
+    try {
+      const fileHandle = await fs.promises.open(tempFilePath, 'w');
+
+      try {
+        await fileHandle.writeFile(contents);
+        await fileHandle.sync();
+      } finally {
+        await fileHandle.close();
+      }
+
+      await fs.promises.rename(tempFilePath, filePath);
+    } catch (err) {
+      try {
+        await fs.promises.unlink(tempFilePath);
+      } catch (err) {
+        // Temporary file may not exist.
+      }
+
+      throw err;
+    }
+  }
+
+  /**
+   * Returns the settings object parsed from the given contents of the
+   * settings file.
+   *
+   * @param {string} contents
+   * @param {Object} serializer
+   * @returns {Object}
+   * @private
+   */
+  _parseContents(contents, serializer) {
+    try {
+      return serializer.parse(contents);
+    } catch (err) {
+      err.message = `${this._filePath}: ${err.message}`;
+
+      throw err;
+    }
+  }
+
+  /**
+   * Copies the settings file to its backup, if backups are enabled. The
+   * settings file is known to be valid at this point because it has not
+   * changed since it was last read or written.
+   *
+   * @private
+   */
+  _backUp() {
+    if (this._opts.backup) {
+      try {
+        fs.copyFileSync(this._filePath, this._getBackupFilePath());
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+
+        // The settings file does not exist yet, so there is nothing to
+        // back up.
+      }
+    }
+  }
+
+  /**
+   * Watches the settings file for changes using the native `FSWatcher`
+   * class in case the settings file is changed outside of this backend.
+   *
+   * @private
+   */
+  _watchFile() {
+    if (this._watchHandler && !this._fsWatcher) {
+      try {
+        this._fsWatcher = fs.watch(this._filePath, this._handleFileChange);
+      } catch (err) {
+        // File may not exist yet or the user may not have permission to
+        // access the file or directory. Fail gracefully.
+      }
+    }
+  }
+
+  /**
+   * Unwatches the settings file by closing the FSWatcher and nullifying its
+   * references.
+   *
+   * @private
+   */
+  _unwatchFile() {
+    if (this._fsWatcher) {
+      this._fsWatcher.close();
+      this._fsWatcher = null;
+    }
+  }
+
+  /**
+   * Watches the settings file again. Called when the settings file has been
+   * replaced, because the FSWatcher is then watching the old file.
+   *
+   * @private
+   */
+  _rewatchFile() {
+    this._unwatchFile();
+    this._watchFile();
+  }
+
+  /**
+   * Called when the settings file has been changed or
+   * renamed (moved/deleted).
+   *
+   * @param {string} eventType
+   * @private
+   */
+  _onFileChange(eventType) {
+    if (eventType === SettingsFileBackend.FSWatcherEvents.RENAME) {
+      // The settings file may have been replaced rather than moved or
+      // deleted, which is how atomic writes appear to the FSWatcher.
+      this._rewatchFile();
+    }
+
+    if (this._watchHandler) {
+      this._watchHandler();
+    }
+  }
+
+  /**
+   * Returns the stored settings object, or null if the settings file does
+   * not exist.
+   *
+   * @param {Object} serializer
+   * @returns {Object}
+   * @public
+   */
+  read(serializer) {
+    let contents;
+
+    try {
+      contents = fs.readFileSync(this._filePath, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+
+      throw err;
+    }
+
+    return this._parseContents(contents, serializer);
+  }
+
+  /**
+   * Asynchronously returns the stored settings object, or null if the
+   * settings file does not exist.
+   *
+   * @param {Object} serializer
+   * @returns {Promise.<Object>}
+   * @public
+   */
+  async readAsync(serializer) {
+    let contents;
+
+    try {
+      contents = await fs.promises.readFile(this._filePath, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+
+      throw err;
+    }
+
+    return this._parseContents(contents, serializer);
+  }
+
+  /**
+   * Writes the given settings object to the settings file.
+   *
+   * @param {Object} obj
+   * @param {Object} serializer
+   * @public
+   */
+  write(obj, serializer) {
+    const contents = serializer.stringify(obj);
+
+    this._backUp();
+    this._writeFileAtomic(this._filePath, contents);
+    this._rewatchFile();
+  }
+
+  /**
+   * Asynchronously writes the given settings object to the settings file.
+   *
+   * @param {Object} obj
+   * @param {Object} serializer
+   * @returns {Promise}
+   * @public
+   */
+  async writeAsync(obj, serializer) {
+    const contents = serializer.stringify(obj);
+
+    if (this._opts.backup) {
+      try {
+        await fs.promises.copyFile(this._filePath, this._getBackupFilePath());
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }
+
+    // Stop watching until the settings file has been replaced, so that the
+    // FSWatcher does not report this write as a change made outside of this
+    // backend while it is in progress.
+    this._unwatchFile();
+
+    try {
+      await this._writeFileAtomicAsync(this._filePath, contents);
+    } finally {
+      this._watchFile();
+    }
+  }
+
+  /**
+   * Writes the given settings object to the settings file, and to its
+   * backup if there is one, so that the backup is readable with the given
+   * serializer.
+   *
+   * @param {Object} obj
+   * @param {Object} serializer
+   * @public
+   */
+  rewrite(obj, serializer) {
+    const backupFilePath = this._getBackupFilePath();
+
+    this.write(obj, serializer);
+
+    if (fs.existsSync(backupFilePath)) {
+      this._writeFileAtomic(backupFilePath, serializer.stringify(obj));
+    }
+  }
+
+  /**
+   * Calls the given handler whenever the settings file is changed outside
+   * of this backend. Returns a function that stops watching.
+   *
+   * @param {Function} handler
+   * @returns {Function}
+   * @public
+   */
+  watch(handler) {
+    assert.strictEqual(typeof handler, 'function', 'First parameter must be a function');
+
+    this._watchHandler = handler;
+    this._watchFile();
+
+    return () => {
+      if (this._watchHandler === handler) {
+        this._watchHandler = null;
+        this._unwatchFile();
+      }
+    };
+  }
+
+  /**
+   * Moves the corrupt settings file aside so that it is never overwritten.
+   * Returns the path that it was moved to.
+   *
+   * @returns {string}
+   * @public
+   */
+  recover() {
+    const corruptFilePath = `${this._filePath}${corruptFileSuffix}${Date.now()}`;
+
+    fs.renameSync(this._filePath, corruptFilePath);
+
+    return corruptFilePath;
+  }
+
+  /**
+   * Restores the settings file from its backup and returns the restored
+   * settings object. Throws if the backup does not exist or is also
+   * corrupt.
+   *
+   * @param {Object} serializer
+   * @returns {Object}
+   * @public
+   */
+  restore(serializer) {
+    const contents = fs.readFileSync(this._getBackupFilePath(), 'utf8');
+
+    // Make sure that the backup is valid before restoring it.
+    const obj = serializer.parse(contents);
+
+    this._writeFileAtomic(this._filePath, contents);
+    this._rewatchFile();
+
+    return obj;
+  }
+
+  /**
+   * Locks the settings file so that other processes cannot change it until
+   * the returned function is called.
+   *
+   * @param {Object} opts
+   * @param {number} opts.timeout
+   * @param {number} opts.staleAge
+   * @returns {Function}
+   * @public
+   */
+  lock(opts) {
+    return Lock.acquire(this._filePath + lockFileSuffix, opts);
+  }
+
+  /**
+   * Asynchronously locks the settings file.
+   *
+   * @see SettingsFileBackend#lock
+   * @param {Object} opts
+   * @param {number} opts.timeout
+   * @param {number} opts.staleAge
+   * @returns {Promise.<Function>}
+   * @public
+   */
+  lockAsync(opts) {
+    return Lock.acquireAsync(this._filePath + lockFileSuffix, opts);
+  }
+
+  /**
+   * Returns the absolute path to the settings file.
+   *
+   * @returns {string}
+   * @public
+   */
+  file() {
+    return this._filePath;
+  }
+}
+
+/**
+ * SettingsFileBackend default options.
+ *
+ * @type {Object}
+ * @property {boolean} backup - Keep a copy of the last good settings file
+ *   alongside the settings file before each write.
+ * @readonly
+ */
+SettingsFileBackend.DefaultOptions = {
+  backup: false
+};
+
+/**
+ * SettingsFileBackend FSWatcher event names.
+ *
+ * @enum {string}
+ * @readonly
+ */
+SettingsFileBackend.FSWatcherEvents = {
+  CHANGE: 'change',
+  RENAME: 'rename'
+};
+
+module.exports = SettingsFileBackend;
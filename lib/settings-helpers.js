@@ -7,20 +7,237 @@
  * @license ISC
  */
 
+const assert = require('assert');
+const util = require('util');
+
+const { SettingsKeyPathError } = require('./settings-errors');
+
+/**
+ * The keys that cannot be set or deleted, because they could be used to
+ * change the prototype of an object, or `Object.prototype` itself.
+ *
+ * @type {string[]}
+ */
+const unsafeKeys = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Returns a boolean indicating whether the given value is a key path, which
+ * is either a string or an array of keys.
+ *
+ * @param {any} keyPath
+ * @returns {boolean}
+ */
+module.exports.isKeyPath = keyPath => (
+  typeof keyPath === 'string' || (Array.isArray(keyPath) && keyPath.every(key => (
+    typeof key === 'string' || (typeof key === 'number' && Number.isInteger(key) && key >= 0)
+  )))
+);
+
+/**
+ * Returns the keys of the given key path. A key path is either an array of
+ * keys or a string in which keys are separated by dots. In a string, a
+ * character preceded by a backslash is part of the key, so `a\.b` is the
+ * single key "a.b", and a key in brackets is either an array index, such as
+ * `servers[0]`, or a quoted key, such as `['my.key']`. Array indices are
+ * returned as numbers. The empty key path has no keys.
+ *
+ * @param {string|Array} keyPath
+ * @returns {Array}
+ */
+module.exports.parseKeyPath = keyPath => {
+  if (Array.isArray(keyPath)) return keyPath.slice();
+
+  const keys = [];
+  const len = keyPath.length;
+  let key = '';
+  let hasKey = len > 0;
+  let i = 0;
+
+  const fail = message => {
+    throw new SyntaxError(`Invalid key path "${keyPath}": ${message} at position ${i}`);
+  };
+
+  while (i < len) {
+    const char = keyPath[i];
+
+    if (char === '\\') {
+      if (i + 1 >= len) fail('Unexpected end of key path');
+
+      key += keyPath[i + 1];
+      hasKey = true;
+      i += 2;
+    } else if (char === '.') {
+      keys.push(key);
+      key = '';
+      hasKey = true;
+      i += 1;
+    } else if (char === '[') {
+      if (key !== '') keys.push(key);
+
+      const quote = keyPath[i + 1] === '"' || keyPath[i + 1] === "'" ? keyPath[i + 1] : null;
+      let bracketKey = '';
+
+      i += quote ? 2 : 1;
+
+      while (i < len && keyPath[i] !== (quote || ']')) {
+        if (keyPath[i] === '\\' && i + 1 < len) i += 1;
+
+        bracketKey += keyPath[i];
+        i += 1;
+      }
+
+      if (quote) i += 1;
+      if (keyPath[i] !== ']') fail('Expected "]"');
+
+      i += 1;
+
+      keys.push(!quote && /^\d+$/.test(bracketKey) ? Number(bracketKey) : bracketKey);
+      key = '';
+      hasKey = false;
+
+      if (keyPath[i] === '.') {
+        hasKey = true;
+        i += 1;
+      } else if (i < len && keyPath[i] !== '[') {
+        fail('Expected "." or "["');
+      }
+    } else {
+      key += char;
+      hasKey = true;
+      i += 1;
+    }
+  }
+
+  if (hasKey) keys.push(key);
+
+  return keys;
+};
+
+/**
+ * Returns a boolean indicating whether the given key is written in brackets
+ * in a key path string, which array indices and empty keys are, so that
+ * they are not lost.
+ *
+ * @param {string|number} key
+ * @returns {boolean}
+ */
+const isBracketKey = key => typeof key === 'number' || key === '';
+
+/**
+ * Returns the given key, escaped so that it can be part of a key path
+ * string. Array indices and empty keys are written in brackets.
+ *
+ * @param {string|number} key
+ * @returns {string}
+ */
+const formatKey = key => {
+  if (typeof key === 'number') return `[${key}]`;
+  if (key === '') return "['']";
+
+  return key.replace(/[\\.[\]]/g, '\\$&');
+};
+
+/**
+ * Returns the key path string of the given key path to the given key.
+ *
+ * @param {string} keyPath
+ * @param {string|number} key
+ * @returns {string}
+ */
+module.exports.joinKeyPath = (keyPath, key) => {
+  if (keyPath === '' || isBracketKey(key)) return keyPath + formatKey(key);
+
+  return `${keyPath}.${formatKey(key)}`;
+};
+
+/**
+ * Returns the key path string of the given keys.
+ *
+ * @param {Array} keys
+ * @returns {string}
+ */
+module.exports.formatKeyPath = keys => keys.reduce(module.exports.joinKeyPath, '');
+
+/**
+ * Returns the given key path as a string in which keys are only escaped
+ * where needed, so that equal key paths are equal strings.
+ *
+ * @param {string|Array} keyPath
+ * @returns {string}
+ */
+module.exports.normalizeKeyPath = keyPath => (
+  module.exports.formatKeyPath(module.exports.parseKeyPath(keyPath))
+);
+
+/**
+ * Checks if the given value has the given key as its own property.
+ *
+ * @param {any} obj
+ * @param {string|number} key
+ * @returns {boolean}
+ */
+const hasOwnKey = (obj, key) => (
+  obj !== null && typeof obj === 'object' && Object.prototype.hasOwnProperty.call(obj, key)
+);
+
+/**
+ * Returns a boolean indicating whether the given key could be used to
+ * change the prototype of an object.
+ *
+ * @param {string|number} key
+ * @returns {boolean}
+ */
+module.exports.isUnsafeKey = key => unsafeKeys.includes(String(key));
+
+/**
+ * Returns a boolean indicating whether the given key is an array index.
+ *
+ * @param {string|number} key
+ * @returns {boolean}
+ */
+const isIndex = key => typeof key === 'number' || /^\d+$/.test(key);
+
+/**
+ * Returns a description of the type of the given value for error messages.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+const describeType = value => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+
+  return /^[aeiou]/.test(typeof value) ? `an ${typeof value}` : `a ${typeof value}`;
+};
+
+/**
+ * Throws a SettingsKeyPathError if any of the given keys is unsafe.
+ *
+ * @param {Array} keys
+ * @throws {SettingsKeyPathError}
+ */
+const assertSafeKeys = keys => {
+  const unsafeKey = keys.find(module.exports.isUnsafeKey);
+
+  if (typeof unsafeKey !== 'undefined') {
+    throw new SettingsKeyPathError(module.exports.formatKeyPath(keys), `"${unsafeKey}" is not allowed as a key`);
+  }
+};
+
 /**
  * Checks if the given object contains the given key path.
  *
  * @param {Object} obj
- * @param {string} keyPath
+ * @param {string|Array} keyPath
  * @returns {boolean}
  */
 module.exports.hasKeyPath = (obj, keyPath) => {
-  const keys = keyPath.split(/\./);
+  const keys = module.exports.parseKeyPath(keyPath);
 
   for (let i = 0, len = keys.length; i < len; i++) {
     const key = keys[i];
 
-    if (Object.prototype.hasOwnProperty.call(obj, key)) {
+    if (hasOwnKey(obj, key)) {
       obj = obj[key];
     } else {
       return false;
@@ -34,16 +251,16 @@ module.exports.hasKeyPath = (obj, keyPath) => {
  * Gets the value of the given object at the given key path.
  *
  * @param {Object} obj
- * @param {string} keyPath
+ * @param {string|Array} keyPath
  * @returns {any}
  */
 module.exports.getValueAtKeyPath = (obj, keyPath) => {
-  const keys = keyPath.split(/\./);
+  const keys = module.exports.parseKeyPath(keyPath);
 
   for (let i = 0, len = keys.length; i < len; i++) {
     const key = keys[i];
 
-    if (Object.prototype.hasOwnProperty.call(obj, key)) {
+    if (hasOwnKey(obj, key)) {
       obj = obj[key];
     } else {
       return undefined;
@@ -54,46 +271,246 @@ module.exports.getValueAtKeyPath = (obj, keyPath) => {
 };
 
 /**
- * Sets the value of the given object at the given key path.
+ * Returns a boolean indicating whether the given key can be set within the
+ * given value, which is the case if the value is an object, and the key is
+ * an index if the value is an array.
+ *
+ * @param {any} value
+ * @param {string|number} key
+ * @returns {boolean}
+ */
+const canSetKeyWithin = (value, key) => (
+  value !== null && typeof value === 'object' && (!Array.isArray(value) || isIndex(key))
+);
+
+/**
+ * Sets the value of the given object at the given key path. Missing arrays
+ * are created for array indices, and missing objects for other keys.
+ * Unless `overwrite` is true, existing values are never replaced to make
+ * room for the key path, so setting a value within a value that is not an
+ * object, or a key that is not an index within an array, throws instead.
  *
  * @param {Object} obj
- * @param {string} keyPath
+ * @param {string|Array} keyPath
  * @param {any} value
+ * @param {boolean} [overwrite=false] - Replace the values in the way of the
+ *   key path with objects or arrays.
+ * @throws {SettingsKeyPathError}
  */
-module.exports.setValueAtKeyPath = (obj, keyPath, value) => {
-  const keys = keyPath.split(/\./);
+module.exports.setValueAtKeyPath = (obj, keyPath, value, overwrite = false) => {
+  const keys = module.exports.parseKeyPath(keyPath);
 
-  while (keys.length > 1) {
-    const key = keys.shift();
+  assert.ok(keys.length > 0, 'Key path must not be empty');
+  assertSafeKeys(keys);
+
+  for (let i = 0, len = keys.length; i < len; i++) {
+    const key = keys[i];
 
-    if (!Object.prototype.hasOwnProperty.call(obj, key)) {
-      obj[key] = {};
+    if (!canSetKeyWithin(obj, key)) {
+      const parentKeyPath = module.exports.formatKeyPath(keys.slice(0, i));
+
+      throw new SettingsKeyPathError(module.exports.formatKeyPath(keys), `"${parentKeyPath}" is ${describeType(obj)}, so "${key}" cannot be set within it`);
     }
 
-    obj = obj[key];
-  }
+    if (i === len - 1) {
+      obj[key] = value;
+    } else {
+      const nextKey = keys[i + 1];
+
+      if (!hasOwnKey(obj, key) || (overwrite && !canSetKeyWithin(obj[key], nextKey))) {
+        obj[key] = typeof nextKey === 'number' ? [] : {};
+      }
 
-  obj[keys.shift()] = value;
+      obj = obj[key];
+    }
+  }
 };
 
 /**
- * Deletes the value of the given object at the given key path.
+ * Deletes the value of the given object at the given key path. Array
+ * elements are removed, so that later elements move up.
  *
  * @param {Object} obj
- * @param {string} keyPath
+ * @param {string|Array} keyPath
+ * @throws {SettingsKeyPathError}
  */
 module.exports.deleteValueAtKeyPath = (obj, keyPath) => {
-  const keys = keyPath.split(/\./);
+  const keys = module.exports.parseKeyPath(keyPath);
+
+  assert.ok(keys.length > 0, 'Key path must not be empty');
+  assertSafeKeys(keys);
 
   while (keys.length > 1) {
     const key = keys.shift();
 
-    if (!Object.prototype.hasOwnProperty.call(obj, key)) {
+    if (!hasOwnKey(obj, key)) {
       return;
     }
 
     obj = obj[key];
   }
 
-  delete obj[keys.shift()];
+  const key = keys.shift();
+
+  if (Array.isArray(obj) && hasOwnKey(obj, key) && /^\d+$/.test(key)) {
+    obj.splice(Number(key), 1);
+  } else if (hasOwnKey(obj, key)) {
+    delete obj[key];
+  }
+};
+
+/**
+ * Returns a boolean indicating whether the given value is a plain object.
+ *
+ * @param {any} value
+ * @returns {boolean}
+ */
+const isPlainObject = value => (
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+);
+
+/**
+ * The ways in which arrays can be merged by `deepMerge()`. "replace"
+ * replaces the array in the target object with the array in the source
+ * object, and "concat" appends the items of the array in the source object
+ * to the array in the target object.
+ *
+ * @enum {string}
+ */
+const ArrayMergeStrategies = {
+  REPLACE: 'replace',
+  CONCAT: 'concat'
+};
+
+module.exports.ArrayMergeStrategies = ArrayMergeStrategies;
+
+/**
+ * Deeply merges the source object into the target object. Plain objects
+ * are merged recursively, arrays are merged as given by the array merge
+ * strategy, and all other values in the source object replace the values
+ * in the target object. Unsafe keys, which a parsed settings file may
+ * contain, are skipped.
+ *
+ * @param {Object} target
+ * @param {Object} source
+ * @param {string} [arrays=ArrayMergeStrategies.REPLACE]
+ * @param {Function} [isValue] - Returns true for plain objects that should
+ *   be replaced as a whole.
+ * @returns {Object} The target object.
+ */
+module.exports.deepMerge = (
+  target,
+  source,
+  arrays = ArrayMergeStrategies.REPLACE,
+  isValue = () => false
+) => {
+  const isMergeable = value => isPlainObject(value) && !isValue(value);
+
+  Object.keys(source).forEach(key => {
+    if (module.exports.isUnsafeKey(key)) return;
+
+    const targetValue = hasOwnKey(target, key) ? target[key] : undefined;
+    const concat = arrays === ArrayMergeStrategies.CONCAT;
+
+    if (isMergeable(source[key]) && isMergeable(targetValue)) {
+      module.exports.deepMerge(targetValue, source[key], arrays, isValue);
+    } else if (concat && Array.isArray(source[key]) && Array.isArray(targetValue)) {
+      target[key] = targetValue.concat(source[key]);
+    } else {
+      target[key] = source[key];
+    }
+  });
+
+  return target;
+};
+
+/**
+ * Returns the changes between the old and new objects. Plain objects are
+ * compared recursively, so each change is the deepest key path whose value
+ * differs, and all other values, including arrays, are compared as a
+ * whole. A value that only exists in one of the objects is undefined in
+ * the other.
+ *
+ * @param {Object} oldObj
+ * @param {Object} newObj
+ * @param {string} [keyPath='']
+ * @param {Function} [isValue] - Returns true for plain objects that should
+ *   be compared as a whole.
+ * @returns {Object[]} The changes, each with a `keyPath`, `oldValue` and
+ *   `newValue`.
+ */
+module.exports.diff = (oldObj, newObj, keyPath = '', isValue = () => false) => {
+  const isContainer = value => isPlainObject(value) && !isValue(value);
+
+  if (isContainer(oldObj) && isContainer(newObj)) {
+    const addedKeys = Object.keys(newObj).filter(key => (
+      !Object.prototype.hasOwnProperty.call(oldObj, key)
+    ));
+    const keys = Object.keys(oldObj).concat(addedKeys);
+
+    return keys.reduce((changes, key) => {
+      const childKeyPath = module.exports.joinKeyPath(keyPath, key);
+
+      return changes.concat(module.exports.diff(oldObj[key], newObj[key], childKeyPath, isValue));
+    }, []);
+  }
+
+  if (util.isDeepStrictEqual(oldObj, newObj)) return [];
+
+  return [{ keyPath, oldValue: oldObj, newValue: newObj }];
+};
+
+/**
+ * Checks if the given key path is a pattern, which is the case if any of
+ * its keys is the wildcard `*` or the globstar `**`.
+ *
+ * @param {string|Array} keyPath
+ * @returns {boolean}
+ */
+module.exports.isKeyPathPattern = keyPath => (
+  module.exports.parseKeyPath(keyPath).some(key => key === '*' || key === '**')
+);
+
+/**
+ * Returns the longest key path that every key path matching the given key
+ * path pattern starts with, which is the part before the first wildcard.
+ *
+ * @param {string|Array} pattern
+ * @returns {string}
+ */
+module.exports.getKeyPathPatternBase = pattern => {
+  const keys = module.exports.parseKeyPath(pattern);
+  const wildcardIndex = keys.findIndex(key => key === '*' || key === '**');
+
+  return module.exports.formatKeyPath(wildcardIndex === -1 ? keys : keys.slice(0, wildcardIndex));
+};
+
+/**
+ * Checks if the given key path matches the given key path pattern. In a
+ * pattern, `*` matches any single key and `**` matches any number of keys,
+ * including none.
+ *
+ * @param {string|Array} keyPath
+ * @param {string|Array} pattern
+ * @returns {boolean}
+ */
+module.exports.matchesKeyPathPattern = (keyPath, pattern) => {
+  const matches = (keys, patternKeys) => {
+    if (patternKeys.length === 0) return keys.length === 0;
+
+    const [patternKey, ...restPatternKeys] = patternKeys;
+
+    // Try matching no keys with the globstar, then one more key at a time.
+    if (patternKey === '**') {
+      if (matches(keys, restPatternKeys)) return true;
+
+      return keys.length > 0 && matches(keys.slice(1), patternKeys);
+    }
+
+    return keys.length > 0
+      && (patternKey === '*' || String(patternKey) === String(keys[0]))
+      && matches(keys.slice(1), restPatternKeys);
+  };
+
+  return matches(module.exports.parseKeyPath(keyPath), module.exports.parseKeyPath(pattern));
 };
@@ -0,0 +1,189 @@
+/**
+ * A module that stores settings in the main process over IPC, for use in
+ * renderer processes. The main process must serve its settings with an IPC
+ * server on the same channel.
+ *
+ * Rather than the entire settings object, only the key paths that have
+ * changed since the settings were last read are sent to the main process,
+ * so renderer processes do not overwrite each other's changes. The main
+ * process redacts secrets, so renderer processes do not need the secret
+ * key, and it runs its own migrations, so renderer processes should not.
+ * The defaults of the main process are merged under the settings, beneath
+ * the defaults of the renderer process.
+ *
+ * @see module:settings-file-backend for the backend interface.
+ * @see module:settings-ipc-server
+ * @module settings-ipc-backend
+ * @author Nathan Buchar
+ * @copyright 2016-2017 Nathan Buchar <hello@nathanbuchar.com>
+ * @license ISC
+ */
+
+const assert = require('assert');
+const electron = require('electron');
+
+const Helpers = require('./settings-helpers');
+const IpcServer = require('./settings-ipc-server');
+
+class SettingsIpcBackend {
+
+  constructor(opts = {}) {
+    assert.strictEqual(typeof opts, 'object', 'First parameter must be an object');
+
+    /**
+     * The backend options.
+     *
+     * @type {Object}
+     * @private
+     */
+    this._opts = Object.assign({}, SettingsIpcBackend.DefaultOptions, opts);
+
+    /**
+     * The IPC module used to send requests to the main process.
+     *
+     * @type {Object}
+     * @private
+     */
+    this._ipcRenderer = this._opts.ipcRenderer || electron.ipcRenderer;
+
+    /**
+     * The settings object as it was last read or written, serialized as
+     * JSON, or null if it has not been read yet. Used to find the key paths
+     * that have changed.
+     *
+     * @type {string}
+     * @default null
+     * @private
+     */
+    this._storedContents = null;
+
+    /**
+     * The defaults of the main process as they were last read.
+     *
+     * @type {Object}
+     * @private
+     */
+    this._defaults = {};
+  }
+
+  /**
+   * Returns the name of the IPC channel for the given message.
+   *
+   * @param {string} message
+   * @returns {string}
+   * @private
+   */
+  _getChannel(message) {
+    return `${this._opts.channel}:${message}`;
+  }
+
+  /**
+   * Sends the given message to the main process and returns the value that
+   * it replies with. Throws the error that it replies with, if any.
+   *
+   * @param {string} message
+   * @param {...any} args
+   * @returns {any}
+   * @private
+   */
+  _request(message, ...args) {
+    const reply = this._ipcRenderer.sendSync(this._getChannel(message), ...args);
+
+    assert.ok(reply, `The main process did not reply on the "${this._opts.channel}" channel`);
+
+    if (reply.error) {
+      const err = new Error(reply.error.message);
+
+      err.name = reply.error.name;
+
+      throw err;
+    }
+
+    return reply.value;
+  }
+
+  /**
+   * Returns the settings object of the main process, without its defaults.
+   *
+   * @returns {Object}
+   * @public
+   */
+  read() {
+    const { settings: obj, defaults } = this._request(IpcServer.Messages.READ_STORED);
+
+    this._storedContents = JSON.stringify(obj);
+    this._defaults = defaults;
+
+    return obj;
+  }
+
+  /**
+   * Returns the defaults of the main process as they were last read.
+   *
+   * @returns {Object}
+   * @public
+   */
+  defaults() {
+    return this._defaults;
+  }
+
+  /**
+   * Sends the key paths of the given settings object that have changed
+   * since the settings were last read or written to the main process.
+   *
+   * @param {Object} obj
+   * @public
+   */
+  write(obj) {
+    const storedObj = this._storedContents === null ? {} : JSON.parse(this._storedContents);
+    const changes = Helpers.diff(storedObj, obj);
+
+    if (changes.length > 0) {
+      this._request(IpcServer.Messages.WRITE, changes.map(change => ({
+        keyPath: change.keyPath,
+        newValue: change.newValue
+      })));
+    }
+
+    this._storedContents = JSON.stringify(obj);
+  }
+
+  /**
+   * Calls the given handler whenever the settings are changed by the main
+   * process or by another renderer process. Returns a function that stops
+   * watching.
+   *
+   * @param {Function} handler
+   * @returns {Function}
+   * @public
+   */
+  watch(handler) {
+    assert.strictEqual(typeof handler, 'function', 'First parameter must be a function');
+
+    const channel = this._getChannel(IpcServer.Messages.CHANGE);
+    const listener = () => handler();
+
+    this._ipcRenderer.on(channel, listener);
+
+    return () => {
+      this._ipcRenderer.removeListener(channel, listener);
+    };
+  }
+}
+
+/**
+ * SettingsIpcBackend default options.
+ *
+ * @type {Object}
+ * @property {string} channel - The prefix of the IPC channel names. Must
+ *   match the channel of the IPC server.
+ * @property {Object} ipcRenderer - The IPC module to send requests with.
+ *   Defaults to Electron's `ipcRenderer` module.
+ * @readonly
+ */
+SettingsIpcBackend.DefaultOptions = {
+  channel: IpcServer.DefaultOptions.channel,
+  ipcRenderer: null
+};
+
+module.exports = SettingsIpcBackend;
@@ -0,0 +1,300 @@
+/**
+ * A module that serves the settings of a settings instance in the main
+ * process to renderer processes over IPC, so that only the main process
+ * reads and writes the settings file. Requests from renderer processes are
+ * applied one at a time, and every change is sent to all other renderer
+ * processes.
+ *
+ * The IPC backend is sent the stored settings and the defaults separately,
+ * so that renderer processes can tell them apart. The preload API is sent
+ * the settings with the defaults merged in.
+ *
+ * Secrets are redacted in the settings sent to renderer processes. If the
+ * `revealSecrets` option is set, a secret is revealed when a renderer
+ * process asks for its key path explicitly.
+ *
+ * Renderer processes use the IPC backend to send their requests.
+ *
+ * @see module:settings-ipc-backend
+ * @module settings-ipc-server
+ * @author Nathan Buchar
+ * @copyright 2016-2017 Nathan Buchar <hello@nathanbuchar.com>
+ * @license ISC
+ */
+
+const assert = require('assert');
+const electron = require('electron');
+
+const Helpers = require('./settings-helpers');
+
+class SettingsIpcServer {
+
+  constructor(settings, opts = {}) {
+    assert.strictEqual(typeof settings, 'object', 'First parameter must be an object');
+    assert.strictEqual(typeof opts, 'object', 'Second parameter must be an object');
+
+    /**
+     * A reference to the Settings instance.
+     *
+     * @type {Settings}
+     * @private
+     */
+    this._settings = settings;
+
+    /**
+     * The server options.
+     *
+     * @type {Object}
+     * @private
+     */
+    this._opts = Object.assign({}, SettingsIpcServer.DefaultOptions, opts);
+
+    /**
+     * The IPC module used to receive requests from renderer processes.
+     *
+     * @type {Object}
+     * @private
+     */
+    this._ipcMain = this._opts.ipcMain || electron.ipcMain;
+
+    /**
+     * The module used to find the renderer processes to send changes to.
+     *
+     * @type {Object}
+     * @private
+     */
+    this._webContents = this._opts.webContents || electron.webContents;
+
+    /**
+     * The web contents that sent the request that is being applied, which
+     * already knows about the changes that it made.
+     *
+     * @type {Object}
+     * @default null
+     * @private
+     */
+    this._requestSender = null;
+
+    /**
+     * Called when a renderer process requests the settings object.
+     *
+     * @type {Object}
+     * @private
+     */
+    this._handleRead = this._onRead.bind(this);
+
+    /**
+     * Called when a renderer process requests the stored settings object
+     * and the defaults.
+     *
+     * @type {Object}
+     * @private
+     */
+    this._handleReadStored = this._onReadStored.bind(this);
+
+    /**
+     * Called when a renderer process requests the value at a key path.
+     *
+     * @type {Object}
+     * @private
+     */
+    this._handleGet = this._onGet.bind(this);
+
+    /**
+     * Called when a renderer process requests changes to the settings.
+     *
+     * @type {Object}
+     * @private
+     */
+    this._handleWrite = this._onWrite.bind(this);
+
+    /**
+     * Called when the settings are changed.
+     *
+     * @type {Object}
+     * @private
+     */
+    this._handleChange = this._onChange.bind(this);
+
+    this._init();
+  }
+
+  /**
+   * Initializes this instance.
+   *
+   * @private
+   */
+  _init() {
+    const { channel } = this._opts;
+
+    this._ipcMain.on(`${channel}:${SettingsIpcServer.Messages.READ}`, this._handleRead);
+    this._ipcMain.on(`${channel}:${SettingsIpcServer.Messages.READ_STORED}`, this._handleReadStored);
+    this._ipcMain.on(`${channel}:${SettingsIpcServer.Messages.GET}`, this._handleGet);
+    this._ipcMain.on(`${channel}:${SettingsIpcServer.Messages.WRITE}`, this._handleWrite);
+    this._settings.on('change', this._handleChange);
+  }
+
+  /**
+   * Replies to the given synchronous IPC event with the value returned by
+   * the given function, or with the error that it throws. Renderer
+   * processes would otherwise wait for a reply forever.
+   *
+   * @param {Object} event
+   * @param {Function} fn
+   * @private
+   */
+  _reply(event, fn) {
+    try {
+      event.returnValue = { value: fn() };
+    } catch (err) {
+      event.returnValue = { error: { name: err.name, message: err.message } };
+    }
+  }
+
+  /**
+   * Called when a renderer process requests the settings object, with the
+   * defaults merged in. Secrets are redacted.
+   *
+   * @param {Object} event
+   * @private
+   */
+  _onRead(event) {
+    this._reply(event, () => this._settings.getAll());
+  }
+
+  /**
+   * Called when a renderer process requests the stored settings object,
+   * without the defaults, and the defaults. Secrets are redacted.
+   *
+   * @param {Object} event
+   * @private
+   */
+  _onReadStored(event) {
+    this._reply(event, () => ({
+      settings: this._settings.getAll({ defaults: false }),
+      defaults: this._settings.getDefaults()
+    }));
+  }
+
+  /**
+   * Called when a renderer process requests the value at the given key
+   * path. A secret is only revealed if the `revealSecrets` option is set,
+   * so renderer processes do not need the secret key.
+   *
+   * @param {Object} event
+   * @param {string|Array} keyPath
+   * @private
+   */
+  _onGet(event, keyPath) {
+    this._reply(event, () => {
+      assert.ok(Helpers.isKeyPath(keyPath), 'First parameter must be a string or an array');
+
+      if (this._opts.revealSecrets) {
+        return this._settings.get(keyPath);
+      }
+
+      return Helpers.getValueAtKeyPath(this._settings.getAll(), Helpers.normalizeKeyPath(keyPath));
+    });
+  }
+
+  /**
+   * Called when a renderer process requests changes to the settings. Each
+   * change sets or deletes the value at a single key path, so that changes
+   * made by other processes to other key paths are kept.
+   *
+   * @param {Object} event
+   * @param {Object[]} changes
+   * @private
+   */
+  _onWrite(event, changes) {
+    this._reply(event, () => {
+      this._requestSender = event.sender;
+
+      try {
+        this._settings.transaction(transaction => {
+          changes.forEach(change => {
+            if (typeof change.newValue === 'undefined') {
+              transaction.delete(change.keyPath);
+            } else {
+              transaction.set(change.keyPath, change.newValue);
+            }
+          });
+        });
+      } finally {
+        this._requestSender = null;
+      }
+
+      return null;
+    });
+  }
+
+  /**
+   * Called when the settings are changed. Sends the changes to all renderer
+   * processes except for the one that made them.
+   *
+   * @param {Object[]} changes
+   * @private
+   */
+  _onChange(changes) {
+    const channel = `${this._opts.channel}:${SettingsIpcServer.Messages.CHANGE}`;
+
+    this._webContents.getAllWebContents().forEach(webContents => {
+      if (webContents !== this._requestSender) {
+        webContents.send(channel, changes);
+      }
+    });
+  }
+
+  /**
+   * Stops serving the settings to renderer processes.
+   *
+   * @public
+   */
+  dispose() {
+    const { channel } = this._opts;
+
+    this._ipcMain.removeListener(`${channel}:${SettingsIpcServer.Messages.READ}`, this._handleRead);
+    this._ipcMain.removeListener(`${channel}:${SettingsIpcServer.Messages.READ_STORED}`, this._handleReadStored);
+    this._ipcMain.removeListener(`${channel}:${SettingsIpcServer.Messages.GET}`, this._handleGet);
+    this._ipcMain.removeListener(`${channel}:${SettingsIpcServer.Messages.WRITE}`, this._handleWrite);
+    this._settings.removeListener('change', this._handleChange);
+  }
+}
+
+/**
+ * SettingsIpcServer default options.
+ *
+ * @type {Object}
+ * @property {string} channel - The prefix of the IPC channel names. Must
+ *   match the channel of the IPC backends.
+ * @property {Object} ipcMain - The IPC module to receive requests with.
+ *   Defaults to Electron's `ipcMain` module.
+ * @property {Object} webContents - The module to find the renderer
+ *   processes with. Defaults to Electron's `webContents` module.
+ * @property {boolean} revealSecrets - Reveal a secret to a renderer process
+ *   that asks for its key path explicitly. Otherwise, secrets are always
+ *   redacted.
+ * @readonly
+ */
+SettingsIpcServer.DefaultOptions = {
+  channel: 'electron-settings',
+  ipcMain: null,
+  webContents: null,
+  revealSecrets: false
+};
+
+/**
+ * SettingsIpcServer IPC message names, which are appended to the channel.
+ *
+ * @enum {string}
+ * @readonly
+ */
+SettingsIpcServer.Messages = {
+  READ: 'read',
+  READ_STORED: 'read-stored',
+  GET: 'get',
+  WRITE: 'write',
+  CHANGE: 'change'
+};
+
+module.exports = SettingsIpcServer;
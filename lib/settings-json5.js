@@ -0,0 +1,364 @@
+/**
+ * A module that parses and stringifies JSON5, a superset of JSON that
+ * allows comments, trailing commas, unquoted keys, single quoted strings
+ * and more. Comments are remembered when parsing and written back in place
+ * when stringifying, so that hand-edited settings files keep their
+ * comments.
+ *
+ * @module settings-json5
+ * @author Nathan Buchar
+ * @copyright 2016-2017 Nathan Buchar <hello@nathanbuchar.com>
+ * @license ISC
+ */
+
+/**
+ * Matches keys that can be written without quotes.
+ *
+ * @type {RegExp}
+ */
+const identifierRegExp = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * The escape sequences allowed in strings, besides unicode and hex escapes.
+ *
+ * @type {Object}
+ */
+const escapes = {
+  b: '\b',
+  f: '\f',
+  n: '\n',
+  r: '\r',
+  t: '\t',
+  v: '\v',
+  0: '\0'
+};
+
+/**
+ * Returns the key under which the comments at the given position relative
+ * to the value at the given key path are stored. Comments are either
+ * `before` a value, at the `end` of an object or array, or `after` the
+ * root value.
+ *
+ * @param {string} position
+ * @param {Array} keys
+ * @returns {string}
+ */
+const commentsKey = (position, keys) => `${position}:${JSON.stringify(keys)}`;
+
+/**
+ * Parses the given JSON5 text.
+ *
+ * @param {string} text
+ * @returns {{ value: any, comments: Map }}
+ * @throws {SyntaxError}
+ */
+const parse = text => {
+  const comments = new Map();
+  let pendingComments = [];
+  let pos = 0;
+
+  const fail = message => {
+    const lines = text.slice(0, pos).split('\n');
+    const line = lines.length;
+    const column = lines[lines.length - 1].length + 1;
+
+    throw new SyntaxError(`${message} in JSON5 at line ${line} column ${column}`);
+  };
+
+  const peek = () => text[pos];
+
+  const unexpected = () => fail(pos < text.length ? `Unexpected token ${peek()}` : 'Unexpected end');
+
+  // Skips whitespace, collecting any comments so that they can be attached
+  // to the next value.
+  const skipWhitespace = () => {
+    while (pos < text.length) {
+      const char = text[pos];
+
+      if (/\s|\uFEFF/.test(char)) {
+        pos += 1;
+      } else if (text.startsWith('//', pos)) {
+        const end = text.indexOf('\n', pos);
+        const comment = text.slice(pos, end === -1 ? text.length : end).replace(/\r$/, '');
+
+        pendingComments.push(comment);
+        pos = end === -1 ? text.length : end;
+      } else if (text.startsWith('/*', pos)) {
+        const end = text.indexOf('*/', pos + 2);
+
+        if (end === -1) fail('Unterminated comment');
+
+        pendingComments.push(text.slice(pos, end + 2));
+        pos = end + 2;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const takeComments = (position, keys) => {
+    if (pendingComments.length > 0) {
+      const key = commentsKey(position, keys);
+
+      comments.set(key, (comments.get(key) || []).concat(pendingComments));
+      pendingComments = [];
+    }
+  };
+
+  const expect = char => {
+    if (peek() !== char) unexpected();
+
+    pos += 1;
+  };
+
+  const parseString = () => {
+    const quote = peek();
+    let str = '';
+
+    pos += 1;
+
+    while (pos < text.length && peek() !== quote) {
+      let char = peek();
+
+      if (char === '\n') fail('Unterminated string');
+
+      if (char === '\\') {
+        pos += 1;
+        char = peek();
+
+        if (char === 'u') {
+          str += String.fromCharCode(parseInt(text.slice(pos + 1, pos + 5), 16));
+          pos += 4;
+        } else if (char === 'x') {
+          str += String.fromCharCode(parseInt(text.slice(pos + 1, pos + 3), 16));
+          pos += 2;
+        } else if (char === '\r' || char === '\n') {
+          // Line continuation.
+          if (char === '\r' && text[pos + 1] === '\n') pos += 1;
+        } else {
+          str += Object.prototype.hasOwnProperty.call(escapes, char) ? escapes[char] : char;
+        }
+      } else {
+        str += char;
+      }
+
+      pos += 1;
+    }
+
+    expect(quote);
+
+    return str;
+  };
+
+  const parseNumber = () => {
+    const match = /^[+-]?(?:0[xX][0-9a-fA-F]+|Infinity|NaN|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/.exec(text.slice(pos));
+
+    if (!match) unexpected();
+
+    pos += match[0].length;
+
+    const sign = match[0][0] === '-' ? -1 : 1;
+    const unsigned = match[0].replace(/^[+-]/, '');
+
+    if (/^0[xX]/.test(unsigned)) return sign * parseInt(unsigned, 16);
+
+    return sign * Number(unsigned);
+  };
+
+  const parseKey = () => {
+    if (peek() === '"' || peek() === '\'') return parseString();
+
+    const match = /^[A-Za-z_$][\w$]*/.exec(text.slice(pos));
+
+    if (!match) unexpected();
+
+    pos += match[0].length;
+
+    return match[0];
+  };
+
+  const parseMembers = (open, close, keys, parseMember) => {
+    expect(open);
+
+    for (;;) {
+      skipWhitespace();
+
+      if (peek() === close) break;
+
+      parseMember();
+      skipWhitespace();
+
+      if (peek() !== ',') break;
+
+      pos += 1;
+    }
+
+    // Comments after the last member belong at the end of the container.
+    takeComments('end', keys);
+    expect(close);
+  };
+
+  const parseValue = keys => {
+    skipWhitespace();
+    takeComments('before', keys);
+
+    const char = peek();
+
+    if (char === '{') {
+      const obj = {};
+
+      parseMembers('{', '}', keys, () => {
+        const key = parseKey();
+        const memberKeys = keys.concat(key);
+
+        // Comments before the key belong to the member.
+        takeComments('before', memberKeys);
+        skipWhitespace();
+        expect(':');
+
+        // Define the member like JSON.parse does, so that a "__proto__" key
+        // does not replace the prototype of the object.
+        Object.defineProperty(obj, key, {
+          value: parseValue(memberKeys),
+          writable: true,
+          enumerable: true,
+          configurable: true
+        });
+      });
+
+      return obj;
+    }
+
+    if (char === '[') {
+      const arr = [];
+
+      parseMembers('[', ']', keys, () => {
+        arr.push(parseValue(keys.concat(arr.length)));
+      });
+
+      return arr;
+    }
+
+    if (char === '"' || char === '\'') return parseString();
+
+    if (text.startsWith('true', pos)) {
+      pos += 4;
+
+      return true;
+    }
+
+    if (text.startsWith('false', pos)) {
+      pos += 5;
+
+      return false;
+    }
+
+    if (text.startsWith('null', pos)) {
+      pos += 4;
+
+      return null;
+    }
+
+    return parseNumber();
+  };
+
+  const value = parseValue([]);
+
+  skipWhitespace();
+
+  if (pos < text.length) unexpected();
+
+  // Comments after the root value belong at the end of the file.
+  takeComments('after', []);
+
+  return { value, comments };
+};
+
+/**
+ * Stringifies the given value as JSON5, writing back the given comments.
+ *
+ * @param {any} value
+ * @param {Map} comments
+ * @returns {string}
+ */
+const stringify = (value, comments) => {
+  const indentation = '  ';
+  const lines = [];
+
+  const writeComments = (position, keys, indent) => {
+    (comments.get(commentsKey(position, keys)) || []).forEach(comment => {
+      lines.push(indent + comment);
+    });
+  };
+
+  const stringifyKey = key => (identifierRegExp.test(key) ? key : JSON.stringify(key));
+
+  const stringifyValue = (value, keys, indent, prefix, suffix) => {
+    if (value !== null && typeof value === 'object') {
+      const isArray = Array.isArray(value);
+      const entries = isArray
+        ? value.map((item, i) => [i, item])
+        : Object.keys(value).filter(key => typeof value[key] !== 'undefined').map(key => [key, value[key]]);
+      const [open, close] = isArray ? ['[', ']'] : ['{', '}'];
+      const hasEndComments = comments.has(commentsKey('end', keys));
+
+      if (entries.length === 0 && !hasEndComments) {
+        lines.push(`${indent}${prefix}${open}${close}${suffix}`);
+
+        return;
+      }
+
+      lines.push(`${indent}${prefix}${open}`);
+
+      entries.forEach(([key, item], i) => {
+        const itemKeys = keys.concat(key);
+        const itemPrefix = isArray ? '' : `${stringifyKey(key)}: `;
+        const itemSuffix = i < entries.length - 1 ? ',' : '';
+
+        writeComments('before', itemKeys, indent + indentation);
+        stringifyValue(item, itemKeys, indent + indentation, itemPrefix, itemSuffix);
+      });
+
+      writeComments('end', keys, indent + indentation);
+      lines.push(`${indent}${close}${suffix}`);
+    } else {
+      const str = typeof value === 'undefined' ? 'null' : JSON.stringify(value);
+
+      lines.push(`${indent}${prefix}${str}${suffix}`);
+    }
+  };
+
+  writeComments('before', [], '');
+  stringifyValue(value, [], '', '', '');
+  writeComments('after', [], '');
+
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Creates a JSON5 serializer. The serializer remembers the comments of the
+ * last contents that it parsed and writes them back in place the next time
+ * it stringifies a settings object.
+ *
+ * @returns {{ parse: Function, stringify: Function }}
+ */
+module.exports.createSerializer = () => {
+  let comments = new Map();
+
+  return {
+    parse(contents) {
+      const result = parse(contents);
+
+      ({ comments } = result);
+
+      return result.value;
+    },
+
+    stringify(obj) {
+      return stringify(obj, comments);
+    }
+  };
+};
+
+module.exports.parse = text => parse(text).value;
+module.exports.stringify = value => stringify(value, new Map());
@@ -0,0 +1,342 @@
+/* global Atomics, SharedArrayBuffer */
+
+/**
+ * A module that implements advisory lockfiles, so that processes sharing
+ * the same settings do not lose each other's changes. A lock is held by
+ * creating the lockfile exclusively and released by deleting it. The
+ * lockfile records the process that holds the lock, so that a lock left
+ * behind by a process that has exited, or held for too long, is considered
+ * stale and broken.
+ *
+ * Within a process, a lock is shared by all of its holders, such as
+ * several Settings instances for the same settings file. A synchronous
+ * holder cannot wait for the others without blocking the event loop, so it
+ * shares the lock with them, whereas an asynchronous holder waits for them
+ * to release it.
+ *
+ * @module settings-lock
+ * @author Nathan Buchar
+ * @copyright 2016-2017 Nathan Buchar <hello@nathanbuchar.com>
+ * @license ISC
+ */
+
+const fs = require('fs');
+const os = require('os');
+
+const { SettingsLockError } = require('./settings-errors');
+
+/**
+ * The number of milliseconds to wait between attempts to acquire a lock.
+ *
+ * @type {number}
+ */
+const retryInterval = 20;
+
+/**
+ * The number of locks that have been acquired. Used to generate unique
+ * lock tokens.
+ *
+ * @type {number}
+ */
+let lockCount = 0;
+
+/**
+ * The locks held by this process, keyed by lock path. Each has the number
+ * of `holders`, a function that releases the lockfile, and a promise that
+ * resolves once the lock has been `released`.
+ *
+ * @type {Map}
+ */
+const heldLocks = new Map();
+
+/**
+ * Blocks for the given number of milliseconds. Atomics.wait is not allowed
+ * on the main thread of a renderer process, so fall back to spinning.
+ *
+ * @param {number} ms
+ */
+const sleep = ms => {
+  try {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+  } catch (err) {
+    const end = Date.now() + ms;
+
+    while (Date.now() < end) {
+      // Spin.
+    }
+  }
+};
+
+/**
+ * Returns a promise that resolves after the given number of milliseconds.
+ *
+ * @param {number} ms
+ * @returns {Promise}
+ */
+const sleepAsync = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Returns a boolean indicating whether a process with the given process ID
+ * is running on this machine.
+ *
+ * @param {number} pid
+ * @returns {boolean}
+ */
+const isProcessRunning = pid => {
+  try {
+    process.kill(pid, 0);
+
+    return true;
+  } catch (err) {
+    // The process exists but belongs to another user.
+    return err.code === 'EPERM';
+  }
+};
+
+/**
+ * Returns the owner of the lock at the given path and the contents of the
+ * lockfile, or null if the lockfile does not exist.
+ *
+ * @param {string} lockPath
+ * @returns {{ contents: string, owner: Object, age: number }}
+ */
+const readLock = lockPath => {
+  let contents;
+  let stats;
+
+  try {
+    contents = fs.readFileSync(lockPath, 'utf8');
+    stats = fs.statSync(lockPath);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+
+    throw err;
+  }
+
+  let owner;
+
+  try {
+    owner = JSON.parse(contents);
+  } catch (err) {
+    // The owner may not have finished writing the lockfile yet.
+    owner = {};
+  }
+
+  return { contents, owner, age: Date.now() - stats.mtimeMs };
+};
+
+/**
+ * Returns a boolean indicating whether the given lock is stale, because
+ * the process that holds it has exited or it is older than the given age.
+ *
+ * @param {Object} lock
+ * @param {number} staleAge
+ * @returns {boolean}
+ */
+const isStale = (lock, staleAge) => {
+  const { owner, age } = lock;
+
+  if (age > staleAge) return true;
+
+  // Processes on other machines sharing the same disk cannot be checked.
+  if (owner.hostname === os.hostname() && typeof owner.pid === 'number') {
+    return !isProcessRunning(owner.pid);
+  }
+
+  return false;
+};
+
+/**
+ * Tries to acquire the lock at the given path once, breaking it first if it
+ * is stale. Returns a function that releases the lock, or null if the lock
+ * is held by another process.
+ *
+ * @param {string} lockPath
+ * @param {number} staleAge
+ * @returns {Function}
+ */
+const tryAcquire = (lockPath, staleAge) => {
+  const contents = JSON.stringify({
+    pid: process.pid,
+    hostname: os.hostname(),
+    token: `${process.pid}.${Date.now()}.${lockCount}`
+  });
+
+  lockCount += 1;
+
+  try {
+    fs.writeFileSync(lockPath, contents, { flag: 'wx' });
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+
+    const lock = readLock(lockPath);
+
+    if (lock && isStale(lock, staleAge)) {
+      // Make sure that the stale lock has not been replaced by another
+      // process in the meantime before breaking it.
+      const currentLock = readLock(lockPath);
+
+      if (currentLock && currentLock.contents === lock.contents) {
+        try {
+          fs.unlinkSync(lockPath);
+        } catch (err) {
+          // Another process may have broken the lock first.
+        }
+      }
+    }
+
+    return null;
+  }
+
+  return () => {
+    const lock = readLock(lockPath);
+
+    // The lock may have been broken as stale and acquired by another
+    // process, which must keep it.
+    if (lock && lock.contents === contents) {
+      fs.unlinkSync(lockPath);
+    }
+  };
+};
+
+/**
+ * Returns the owner of the lock at the given path, if it can be read.
+ *
+ * @param {string} lockPath
+ * @returns {Object}
+ */
+const getOwner = lockPath => {
+  try {
+    const lock = readLock(lockPath);
+
+    return lock ? lock.owner : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Adds a holder to the given lock held by this process. Returns a function
+ * that removes the holder, and releases the lock once it has no holders.
+ *
+ * @param {Object} heldLock
+ * @returns {Function}
+ */
+const share = heldLock => {
+  let isReleased = false;
+
+  heldLock.holders += 1;
+
+  return () => {
+    if (isReleased) return;
+
+    isReleased = true;
+    heldLock.holders -= 1;
+
+    if (heldLock.holders === 0) {
+      heldLock.release();
+    }
+  };
+};
+
+/**
+ * Records that this process holds the lock at the given path, which is
+ * released by the given function. Returns a function that releases it.
+ *
+ * @param {string} lockPath
+ * @param {Function} releaseFile
+ * @returns {Function}
+ */
+const hold = (lockPath, releaseFile) => {
+  let resolveReleased;
+
+  const heldLock = {
+    holders: 0,
+    released: new Promise(resolve => {
+      resolveReleased = resolve;
+    }),
+    release: () => {
+      heldLocks.delete(lockPath);
+
+      try {
+        releaseFile();
+      } finally {
+        resolveReleased();
+      }
+    }
+  };
+
+  heldLocks.set(lockPath, heldLock);
+
+  return share(heldLock);
+};
+
+/**
+ * Acquires the lock at the given path, waiting for up to `opts.timeout`
+ * milliseconds for another process to release it. If this process already
+ * holds the lock, it is shared instead. Returns a function that releases
+ * the lock. Throws a SettingsLockError if the lock could not be acquired in
+ * time.
+ *
+ * @param {string} lockPath
+ * @param {Object} opts
+ * @param {number} opts.timeout
+ * @param {number} opts.staleAge
+ * @returns {Function}
+ */
+module.exports.acquire = (lockPath, opts) => {
+  const end = Date.now() + opts.timeout;
+
+  if (heldLocks.has(lockPath)) {
+    return share(heldLocks.get(lockPath));
+  }
+
+  for (;;) {
+    const release = tryAcquire(lockPath, opts.staleAge);
+
+    if (release) return hold(lockPath, release);
+
+    if (Date.now() >= end) {
+      throw new SettingsLockError(lockPath, opts.timeout, getOwner(lockPath));
+    }
+
+    sleep(Math.min(retryInterval, Math.max(end - Date.now(), 0)));
+  }
+};
+
+/**
+ * Asynchronously acquires the lock at the given path without blocking. If
+ * this process already holds the lock, waits for it to be released first.
+ *
+ * @see module:settings-lock.acquire
+ * @param {string} lockPath
+ * @param {Object} opts
+ * @param {number} opts.timeout
+ * @param {number} opts.staleAge
+ * @returns {Promise.<Function>}
+ */
+module.exports.acquireAsync = (lockPath, opts) => {
+  const end = Date.now() + opts.timeout;
+
+  const attempt = async () => {
+    const heldLock = heldLocks.get(lockPath);
+    const release = heldLock ? null : tryAcquire(lockPath, opts.staleAge);
+
+    if (release) return hold(lockPath, release);
+
+    if (Date.now() >= end) {
+      throw new SettingsLockError(lockPath, opts.timeout, getOwner(lockPath));
+    }
+
+    if (heldLock) {
+      // Wait for the other holders in this process to release the lock.
+      await Promise.race([heldLock.released, sleepAsync(Math.max(end - Date.now(), 0))]);
+    } else {
+      await sleepAsync(Math.min(retryInterval, Math.max(end - Date.now(), 0)));
+    }
+
+    return attempt();
+  };
+
+  return attempt();
+};
@@ -0,0 +1,64 @@
+/**
+ * A module that stores settings in memory, so that nothing is written to
+ * the disk. Useful for tests. Settings stored in memory are never changed
+ * outside of the backend, so they are never watched.
+ *
+ * @see module:settings-file-backend for the backend interface.
+ * @module settings-memory-backend
+ * @author Nathan Buchar
+ * @copyright 2016-2017 Nathan Buchar <hello@nathanbuchar.com>
+ * @license ISC
+ */
+
+const assert = require('assert');
+
+class SettingsMemoryBackend {
+
+  constructor(obj = null) {
+    assert.strictEqual(typeof obj, 'object', 'First parameter must be an object');
+
+    /**
+     * The stored settings object, serialized so that it cannot be changed
+     * through references held by callers, or null if no settings have been
+     * stored yet.
+     *
+     * @type {string}
+     * @private
+     */
+    this._contents = obj ? JSON.stringify(obj) : null;
+  }
+
+  /**
+   * Returns the stored settings object, or null if no settings have been
+   * stored yet.
+   *
+   * @returns {Object}
+   * @public
+   */
+  read() {
+    return this._contents === null ? null : JSON.parse(this._contents);
+  }
+
+  /**
+   * Stores the given settings object.
+   *
+   * @param {Object} obj
+   * @public
+   */
+  write(obj) {
+    this._contents = JSON.stringify(obj);
+  }
+
+  /**
+   * Does nothing, because settings stored in memory are never changed
+   * outside of the backend. Returns a function that does nothing.
+   *
+   * @returns {Function}
+   * @public
+   */
+  watch() {
+    return () => {};
+  }
+}
+
+module.exports = SettingsMemoryBackend;
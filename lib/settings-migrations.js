@@ -0,0 +1,117 @@
+/**
+ * A module that contains settings migration helpers.
+ *
+ * @module settings-migrations
+ * @author Nathan Buchar
+ * @copyright 2016-2017 Nathan Buchar <hello@nathanbuchar.com>
+ * @license ISC
+ */
+
+const assert = require('assert');
+
+/**
+ * Matches a semantic version, capturing the major, minor and patch
+ * versions and the prerelease identifiers. Build metadata is ignored.
+ *
+ * @type {RegExp}
+ */
+const semverRegExp = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Parses the given semantic version.
+ *
+ * @param {string} version
+ * @returns {Object}
+ */
+const parseVersion = version => {
+  const match = semverRegExp.exec(version);
+
+  assert.ok(match, `Invalid version: ${version}`);
+
+  return {
+    release: match.slice(1, 4).map(Number),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+};
+
+/**
+ * Compares two prerelease identifiers. Numeric identifiers are compared
+ * numerically and have lower precedence than alphanumeric identifiers.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const compareIdentifiers = (a, b) => {
+  const aIsNumeric = /^\d+$/.test(a);
+  const bIsNumeric = /^\d+$/.test(b);
+
+  if (aIsNumeric && bIsNumeric) return Number(a) - Number(b);
+  if (aIsNumeric) return -1;
+  if (bIsNumeric) return 1;
+  if (a === b) return 0;
+
+  return a < b ? -1 : 1;
+};
+
+/**
+ * Compares two semantic versions. Returns a negative number if `a` comes
+ * before `b`, a positive number if `a` comes after `b`, or zero if they
+ * have the same precedence.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const compareVersions = (a, b) => {
+  const versionA = parseVersion(a);
+  const versionB = parseVersion(b);
+
+  for (let i = 0; i < 3; i++) {
+    const diff = versionA.release[i] - versionB.release[i];
+
+    if (diff !== 0) return diff;
+  }
+
+  // A version without prerelease identifiers comes after one with them.
+  if (versionA.prerelease.length === 0 || versionB.prerelease.length === 0) {
+    return versionB.prerelease.length - versionA.prerelease.length;
+  }
+
+  const len = Math.max(versionA.prerelease.length, versionB.prerelease.length);
+
+  for (let i = 0; i < len; i++) {
+    if (i >= versionA.prerelease.length) return -1;
+    if (i >= versionB.prerelease.length) return 1;
+
+    const diff = compareIdentifiers(versionA.prerelease[i], versionB.prerelease[i]);
+
+    if (diff !== 0) return diff;
+  }
+
+  return 0;
+};
+
+module.exports.compareVersions = compareVersions;
+
+/**
+ * Returns the versions of the given migrations that are after the given
+ * last migrated version and up to and including the given current version,
+ * in the order that they should be run. If there is no last migrated
+ * version, all migrations up to the current version are pending.
+ *
+ * @param {Object} migrations - Migration functions keyed by version.
+ * @param {string} [lastVersion]
+ * @param {string} currentVersion
+ * @returns {string[]}
+ */
+module.exports.getPendingVersions = (migrations, lastVersion, currentVersion) => {
+  const versions = Object.keys(migrations).filter(version => {
+    const isAfterLastVersion = !lastVersion || compareVersions(version, lastVersion) > 0;
+    const isUpToCurrentVersion = compareVersions(version, currentVersion) <= 0;
+
+    return isAfterLastVersion && isUpToCurrentVersion;
+  });
+
+  return versions.sort(compareVersions);
+};
@@ -7,11 +7,26 @@
  * @license ISC
  */
 
-const assert = require('assert');
+const util = require('util');
+
+const Helpers = require('./settings-helpers');
+
+/**
+ * Checks if the key path with the given keys contains the key path with the
+ * given prefix keys, or is the same key path.
+ *
+ * @param {Array} keys
+ * @param {Array} prefixKeys
+ * @returns {boolean}
+ */
+const startsWithKeys = (keys, prefixKeys) => (
+  prefixKeys.length <= keys.length
+    && prefixKeys.every((key, i) => String(key) === String(keys[i]))
+);
 
 class SettingsObserver {
 
-  constructor(settings, keyPath, handler, currentValue) {
+  constructor(settings, keyPath, handler, currentValue, opts = {}) {
 
     /**
      * A reference to the Settings instance.
@@ -22,13 +37,31 @@ class SettingsObserver {
     this._settings = settings;
 
     /**
-     * The key path that this observer instance is watching for changes.
+     * The key path or key path pattern that this observer instance is
+     * watching for changes.
      *
      * @type {string}
      * @private
      */
     this._keyPath = keyPath;
 
+    /**
+     * Whether the observed key path is a pattern.
+     *
+     * @type {boolean}
+     * @private
+     */
+    this._isPattern = Helpers.isKeyPathPattern(keyPath);
+
+    /**
+     * The key path whose value is observed. For a pattern, this is the part
+     * before the first wildcard, which contains all matching key paths.
+     *
+     * @type {string}
+     * @private
+     */
+    this._baseKeyPath = Helpers.getKeyPathPatternBase(keyPath);
+
     /**
      * The handler function to be called when the value at the observed
      * key path is changed.
@@ -39,13 +72,47 @@ class SettingsObserver {
     this._handler = handler;
 
     /**
-     * The current value of the setting at the given key path.
+     * The current value of the setting at the observed key path.
      *
      * @type {any}
      * @private
      */
     this._currentValue = currentValue;
 
+    /**
+     * The observer options.
+     *
+     * @type {Object}
+     * @private
+     */
+    this._opts = Object.assign({}, SettingsObserver.DefaultOptions, opts);
+
+    /**
+     * The changes that have been made since the debounce timer was started.
+     *
+     * @type {Object[]}
+     * @private
+     */
+    this._pendingChanges = [];
+
+    /**
+     * The debounce timer, which is started when the settings are changed if
+     * the `debounce` option is set.
+     *
+     * @type {Object}
+     * @default null
+     * @private
+     */
+    this._debounceTimeout = null;
+
+    /**
+     * Whether this observer has been disposed of.
+     *
+     * @type {boolean}
+     * @private
+     */
+    this._disposed = false;
+
     /**
      * Called when the settings file is changed.
      *
@@ -64,25 +131,252 @@ class SettingsObserver {
    */
   _init() {
     this._settings.on('change', this._handleChange);
+
+    if (this._opts.immediate) {
+      this._callHandlerImmediately();
+    }
   }
 
   /**
-   * Called when the settings file is changed.
+   * Calls the watch handler with the current value at the observed key
+   * path, or with the current value at each key path matching the observed
+   * pattern.
    *
    * @private
    */
-  _onChange() {
+  _callHandlerImmediately() {
+    if (!this._isPattern) {
+      this._callHandler(this._currentValue, undefined, this._keyPath);
+
+      return;
+    }
+
+    const keyPaths = this._getMatchingKeyPaths([{
+      keyPath: this._baseKeyPath,
+      oldValue: undefined,
+      newValue: this._currentValue
+    }]);
+
+    keyPaths.forEach(keyPath => {
+      this._callHandler(this._getValueWithin(this._currentValue, keyPath), undefined, keyPath);
+    });
+  }
+
+  /**
+   * Calls the watch handler with the given values, unless this observer has
+   * been disposed of. If the `once` option is set, this observer is disposed
+   * of first.
+   *
+   * @param {any} newValue
+   * @param {any} oldValue
+   * @param {string} keyPath
+   * @private
+   */
+  _callHandler(newValue, oldValue, keyPath) {
+    if (this._disposed) return;
+
+    if (this._opts.once) {
+      this.dispose();
+    }
+
+    this._handler.call(this, newValue, oldValue, keyPath);
+  }
+
+  /**
+   * Returns a boolean indicating whether the given change may have changed
+   * the value at the observed key path, which is the case if either key
+   * path contains the other.
+   *
+   * @param {Object} change
+   * @returns {boolean}
+   * @private
+   */
+  _isAffectedBy(change) {
+    const a = Helpers.parseKeyPath(this._baseKeyPath);
+    const b = Helpers.parseKeyPath(change.keyPath);
+
+    return startsWithKeys(a, b) || startsWithKeys(b, a);
+  }
+
+  /**
+   * Returns a boolean indicating whether the given change should be handled.
+   * If the `deep` option is not set, changes are ignored if the settings
+   * were only written at key paths within the observed key path, since the
+   * observed value itself was not replaced then. A replaced value is still
+   * compared as a whole, because its changes are reported for each value
+   * within it. Changes to values within the values at key paths matching a
+   * pattern are ignored when the matching key paths are found instead.
+   *
+   * @param {Object} change
+   * @param {string[]} [writtenKeyPaths] - The key paths that the settings
+   *   were written at, if they are known.
+   * @returns {boolean}
+   * @private
+   */
+  _isHandled(change, writtenKeyPaths) {
+    if (!this._isAffectedBy(change)) return false;
+
+    if (this._opts.deep || this._isPattern || !writtenKeyPaths) return true;
+
+    const keys = Helpers.parseKeyPath(this._keyPath);
+
+    return writtenKeyPaths.some(keyPath => startsWithKeys(keys, Helpers.parseKeyPath(keyPath)));
+  }
+
+  /**
+   * Returns the key paths matching the observed pattern whose values may
+   * have been changed by the given changes. For each changed key path, and
+   * each key path within a changed object, this is the longest key path
+   * that contains it and matches the pattern, if there is one. If the
+   * `deep` option is not set, only key paths that the changed key path
+   * contains are returned.
+   *
+   * @param {Object[]} changes
+   * @returns {string[]}
+   * @private
+   */
+  _getMatchingKeyPaths(changes) {
+    const keyPaths = new Set();
+
+    const addMatchingKeyPath = (keys, minLength) => {
+      for (let i = keys.length; i >= minLength; i--) {
+        const ancestorKeys = keys.slice(0, i);
+
+        if (Helpers.matchesKeyPathPattern(ancestorKeys, this._keyPath)) {
+          keyPaths.add(Helpers.formatKeyPath(ancestorKeys));
+          break;
+        }
+      }
+    };
+
+    // Key paths matching the pattern may be within a changed object, such
+    // as when an object is added, so visit every key path within it.
+    const visit = (keyPathKeys, oldValue, newValue, minLength) => {
+      const isObject = value => value !== null && typeof value === 'object';
+      const oldKeys = isObject(oldValue) ? Object.keys(oldValue) : [];
+      const newKeys = isObject(newValue) ? Object.keys(newValue) : [];
+      const keys = oldKeys.concat(newKeys.filter(key => oldKeys.indexOf(key) === -1));
+
+      if (keys.length === 0) {
+        addMatchingKeyPath(keyPathKeys, minLength);
+      }
+
+      keys.forEach(key => {
+        const isIndex = Array.isArray(oldValue) || Array.isArray(newValue);
+        const childKeyPathKeys = keyPathKeys.concat(isIndex ? Number(key) : key);
+
+        const oldChildValue = isObject(oldValue) ? oldValue[key] : undefined;
+        const newChildValue = isObject(newValue) ? newValue[key] : undefined;
+
+        visit(childKeyPathKeys, oldChildValue, newChildValue, minLength);
+      });
+    };
+
+    changes.forEach(change => {
+      const keys = Helpers.parseKeyPath(change.keyPath);
+      const minLength = this._opts.deep ? 0 : keys.length;
+
+      visit(keys, change.oldValue, change.newValue, minLength);
+    });
+
+    return Array.from(keyPaths);
+  }
+
+  /**
+   * Returns the value at the given key path within the given value at the
+   * observed key path.
+   *
+   * @param {any} value
+   * @param {string} keyPath
+   * @returns {any}
+   * @private
+   */
+  _getValueWithin(value, keyPath) {
+    const baseKeys = Helpers.parseKeyPath(this._baseKeyPath);
+    const relativeKeys = Helpers.parseKeyPath(keyPath).slice(baseKeys.length);
+
+    return Helpers.getValueAtKeyPath(value, relativeKeys);
+  }
+
+  /**
+   * Called when the settings are changed. Only reads the value at the
+   * observed key path again if one of the changes affects it. If the
+   * `debounce` option is set, the changes are collected until none have been
+   * made for that many milliseconds.
+   *
+   * @param {Object[]} changes
+   * @param {string[]} [writtenKeyPaths]
+   * @private
+   */
+  _onChange(changes, writtenKeyPaths) {
+    const handledChanges = changes.filter(change => this._isHandled(change, writtenKeyPaths));
+
+    if (handledChanges.length === 0) {
+      const isAffected = changes.some(change => this._isAffectedBy(change));
+
+      // Changes within the observed value may be ignored, but the value that
+      // later changes are compared with must still include them.
+      if (isAffected && !this._isPattern && this._pendingChanges.length === 0) {
+        this._currentValue = this._settings.get(this._keyPath);
+      }
+
+      return;
+    }
+
+    if (this._opts.debounce > 0) {
+      this._pendingChanges = this._pendingChanges.concat(handledChanges);
+
+      clearTimeout(this._debounceTimeout);
+
+      this._debounceTimeout = setTimeout(() => {
+        const pendingChanges = this._pendingChanges;
+
+        this._pendingChanges = [];
+        this._debounceTimeout = null;
+        this._update(pendingChanges);
+      }, this._opts.debounce);
+    } else {
+      this._update(handledChanges);
+    }
+  }
+
+  /**
+   * Reads the value at the observed key path again and calls the watch
+   * handler for each value that the given changes have changed.
+   *
+   * @param {Object[]} changes
+   * @private
+   */
+  _update(changes) {
     const oldValue = this._currentValue;
-    const newValue = this._settings.get(this._keyPath);
 
-    try {
-      assert.deepEqual(newValue, oldValue);
-    } catch (err) {
-      this._currentValue = newValue;
+    if (!this._isPattern) {
+      const newValue = this._settings.get(this._keyPath);
+
+      // The changes were found by a strict comparison, so compare strictly
+      // here too. They may still cancel each other out when debounced.
+      if (!util.isDeepStrictEqual(newValue, oldValue)) {
+        this._currentValue = newValue;
 
-      // Call the watch handler and pass in the new and old values.
-      this._handler.call(this, newValue, oldValue);
+        // Call the watch handler and pass in the new and old values.
+        this._callHandler(newValue, oldValue, this._keyPath);
+      }
+
+      return;
     }
+
+    const newValue = this._settings.get(this._baseKeyPath);
+
+    this._currentValue = newValue;
+
+    this._getMatchingKeyPaths(changes).forEach(keyPath => {
+      const oldMatchValue = this._getValueWithin(oldValue, keyPath);
+      const newMatchValue = this._getValueWithin(newValue, keyPath);
+
+      if (!util.isDeepStrictEqual(newMatchValue, oldMatchValue)) {
+        this._callHandler(newMatchValue, oldMatchValue, keyPath);
+      }
+    });
   }
 
   /**
@@ -91,8 +385,37 @@ class SettingsObserver {
    * @public
    */
   dispose() {
+    this._disposed = true;
+    this._pendingChanges = [];
+
+    clearTimeout(this._debounceTimeout);
+    this._debounceTimeout = null;
+
     this._settings.removeListener('change', this._handleChange);
   }
 }
 
+/**
+ * SettingsObserver default options.
+ *
+ * @type {Object}
+ * @property {boolean} immediate - Call the handler with the current value
+ *   when the observer is created.
+ * @property {boolean} deep - Call the handler when a value within the
+ *   observed value changes. Otherwise, only call the handler when the
+ *   observed value itself is replaced. Changes that were not made at a key
+ *   path, such as those made by other processes, count as replacing it.
+ * @property {number} debounce - Wait until no changes have been made for
+ *   this many milliseconds before calling the handler.
+ * @property {boolean} once - Dispose of the observer after the handler is
+ *   first called.
+ * @readonly
+ */
+SettingsObserver.DefaultOptions = {
+  immediate: false,
+  deep: true,
+  debounce: 0,
+  once: false
+};
+
 module.exports = SettingsObserver;
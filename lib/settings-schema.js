@@ -0,0 +1,285 @@
+/**
+ * A module that validates settings against a JSON Schema. Supports the
+ * commonly used subset of JSON Schema draft 7, including local `$ref`s.
+ *
+ * @module settings-schema
+ * @author Nathan Buchar
+ * @copyright 2016-2017 Nathan Buchar <hello@nathanbuchar.com>
+ * @license ISC
+ */
+
+const assert = require('assert');
+
+const Helpers = require('./settings-helpers');
+
+/**
+ * Returns the JSON Schema type of the given value.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+const getType = value => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+
+  return typeof value;
+};
+
+/**
+ * Returns a boolean indicating whether the given value is of the given
+ * JSON Schema type.
+ *
+ * @param {any} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+const isType = (value, type) => {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return Number.isFinite(value);
+    default:
+      return getType(value) === type;
+  }
+};
+
+/**
+ * Returns a boolean indicating whether the two given values are deeply
+ * equal.
+ *
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+const isEqual = (a, b) => {
+  try {
+    assert.deepStrictEqual(a, b);
+
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Resolves a local `$ref` such as "#/definitions/color" against the given
+ * root schema.
+ *
+ * @param {Object} rootSchema
+ * @param {string} ref
+ * @returns {Object}
+ */
+const resolveRef = (rootSchema, ref) => {
+  assert.strictEqual(ref.indexOf('#'), 0, `Only local $refs are supported: ${ref}`);
+
+  return ref.slice(1).split('/').filter(Boolean).reduce((schema, token) => {
+    const key = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+
+    assert.ok(schema && key in schema, `Could not resolve $ref: ${ref}`);
+
+    return schema[key];
+  }, rootSchema);
+};
+
+/**
+ * Validates the given value against the given schema and pushes any
+ * violations that are found onto the given errors array.
+ *
+ * @param {Object|boolean} schema
+ * @param {any} value
+ * @param {string} keyPath
+ * @param {Object} rootSchema
+ * @param {Object[]} errors
+ */
+const validateValue = (schema, value, keyPath, rootSchema, errors) => {
+  const addError = message => errors.push({ keyPath, message });
+
+  if (schema === true) return;
+
+  if (schema === false) {
+    addError('is not allowed');
+
+    return;
+  }
+
+  if (schema.$ref) {
+    validateValue(resolveRef(rootSchema, schema.$ref), value, keyPath, rootSchema, errors);
+
+    return;
+  }
+
+  if (typeof schema.type !== 'undefined') {
+    const types = [].concat(schema.type);
+
+    if (!types.some(type => isType(value, type))) {
+      addError(`must be of type ${types.join(' or ')}, but is of type ${getType(value)}`);
+
+      // The remaining keywords would only report more of the same problem.
+      return;
+    }
+  }
+
+  if (typeof schema.const !== 'undefined' && !isEqual(value, schema.const)) {
+    addError(`must be equal to ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.enum && !schema.enum.some(item => isEqual(value, item))) {
+    addError(`must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) {
+      addError(`must be greater than or equal to ${schema.minimum}`);
+    }
+
+    if (typeof schema.maximum === 'number' && value > schema.maximum) {
+      addError(`must be less than or equal to ${schema.maximum}`);
+    }
+
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      addError(`must be greater than ${schema.exclusiveMinimum}`);
+    }
+
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      addError(`must be less than ${schema.exclusiveMaximum}`);
+    }
+
+    if (typeof schema.multipleOf === 'number' && value % schema.multipleOf !== 0) {
+      addError(`must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+      addError(`must be at least ${schema.minLength} characters long`);
+    }
+
+    if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+      addError(`must be at most ${schema.maxLength} characters long`);
+    }
+
+    if (typeof schema.pattern === 'string' && !new RegExp(schema.pattern).test(value)) {
+      addError(`must match the pattern ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+      addError(`must contain at least ${schema.minItems} items`);
+    }
+
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+      addError(`must contain at most ${schema.maxItems} items`);
+    }
+
+    if (schema.uniqueItems) {
+      const hasDuplicates = value.some((item, i) => (
+        value.slice(i + 1).some(other => isEqual(item, other))
+      ));
+
+      if (hasDuplicates) {
+        addError('must not contain duplicate items');
+      }
+    }
+
+    if (Array.isArray(schema.items)) {
+      value.forEach((item, i) => {
+        const itemSchema = i < schema.items.length ? schema.items[i] : schema.additionalItems;
+
+        if (typeof itemSchema !== 'undefined') {
+          validateValue(itemSchema, item, Helpers.joinKeyPath(keyPath, i), rootSchema, errors);
+        }
+      });
+    } else if (typeof schema.items !== 'undefined') {
+      value.forEach((item, i) => {
+        validateValue(schema.items, item, Helpers.joinKeyPath(keyPath, i), rootSchema, errors);
+      });
+    }
+  }
+
+  if (getType(value) === 'object') {
+    const properties = schema.properties || {};
+    const patternProperties = schema.patternProperties || {};
+
+    (schema.required || []).forEach(key => {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) {
+        addError(`must have the property "${key}"`);
+      }
+    });
+
+    Object.keys(value).forEach(key => {
+      const propertyKeyPath = Helpers.joinKeyPath(keyPath, key);
+      let matched = false;
+
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        validateValue(properties[key], value[key], propertyKeyPath, rootSchema, errors);
+        matched = true;
+      }
+
+      Object.keys(patternProperties).forEach(pattern => {
+        if (new RegExp(pattern).test(key)) {
+          const patternSchema = patternProperties[pattern];
+
+          validateValue(patternSchema, value[key], propertyKeyPath, rootSchema, errors);
+          matched = true;
+        }
+      });
+
+      if (!matched && typeof schema.additionalProperties !== 'undefined') {
+        validateValue(schema.additionalProperties, value[key], propertyKeyPath, rootSchema, errors);
+      }
+    });
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(subschema => {
+      validateValue(subschema, value, keyPath, rootSchema, errors);
+    });
+  }
+
+  if (schema.anyOf || schema.oneOf) {
+    const subschemas = schema.anyOf || schema.oneOf;
+    const matchCount = subschemas.filter(subschema => {
+      const subschemaErrors = [];
+
+      validateValue(subschema, value, keyPath, rootSchema, subschemaErrors);
+
+      return subschemaErrors.length === 0;
+    }).length;
+
+    if (schema.anyOf && matchCount === 0) {
+      addError('must match at least one of the allowed schemas');
+    } else if (schema.oneOf && matchCount !== 1) {
+      addError('must match exactly one of the allowed schemas');
+    }
+  }
+
+  if (typeof schema.not !== 'undefined') {
+    const notErrors = [];
+
+    validateValue(schema.not, value, keyPath, rootSchema, notErrors);
+
+    if (notErrors.length === 0) {
+      addError('must not match the disallowed schema');
+    }
+  }
+};
+
+/**
+ * Validates the given settings object against the given schema. Returns an
+ * array of violations, each with the key path of the invalid value and a
+ * message describing the problem. The array is empty if the settings
+ * object is valid.
+ *
+ * @param {Object} schema
+ * @param {Object} obj
+ * @returns {Object[]}
+ */
+module.exports.validate = (schema, obj) => {
+  const errors = [];
+
+  validateValue(schema, obj, '', schema, errors);
+
+  return errors;
+};
@@ -0,0 +1,82 @@
+/**
+ * A module that contains the built in settings file serializers. A
+ * serializer has a `parse` method that takes the contents of the settings
+ * file and returns the settings object, and a `stringify` method that does
+ * the reverse. `parse` must throw a SyntaxError if the contents are invalid.
+ *
+ * @module settings-serializers
+ * @author Nathan Buchar
+ * @copyright 2016-2017 Nathan Buchar <hello@nathanbuchar.com>
+ * @license ISC
+ */
+
+const path = require('path');
+
+const JSON5 = require('./settings-json5');
+const YAML = require('./settings-yaml');
+
+/**
+ * The names of the built in serialization formats.
+ *
+ * @enum {string}
+ */
+const Formats = {
+  JSON: 'json',
+  JSON5: 'json5',
+  YAML: 'yaml'
+};
+
+module.exports.Formats = Formats;
+
+/**
+ * The serialization formats of the settings file extensions that are not
+ * JSON.
+ *
+ * @type {Object}
+ */
+const formatsByExtension = {
+  '.json5': Formats.JSON5,
+  '.jsonc': Formats.JSON5,
+  '.yaml': Formats.YAML,
+  '.yml': Formats.YAML
+};
+
+/**
+ * Returns the serialization format of the settings file at the given path,
+ * determined by its extension. Defaults to JSON.
+ *
+ * @param {string} filePath
+ * @returns {string}
+ */
+module.exports.getFormat = filePath => {
+  const extension = path.extname(filePath).toLowerCase();
+
+  return formatsByExtension[extension] || Formats.JSON;
+};
+
+/**
+ * Creates a serializer for the given format. Serializers may keep state
+ * between parsing and stringifying, such as the comments in the settings
+ * file, so each settings file should have its own.
+ *
+ * @param {string} format
+ * @returns {{ parse: Function, stringify: Function }}
+ */
+module.exports.createSerializer = format => {
+  switch (format) {
+    case Formats.JSON:
+      return {
+        parse: contents => JSON.parse(contents),
+        stringify: (obj, opts = {}) => JSON.stringify(obj, null, opts.prettify ? 2 : 0) + '\n'
+      };
+    case Formats.JSON5:
+      return JSON5.createSerializer();
+    case Formats.YAML:
+      return {
+        parse: contents => YAML.parse(contents),
+        stringify: obj => YAML.stringify(obj)
+      };
+    default:
+      throw new Error(`Unknown serialization format: ${format}`);
+  }
+};
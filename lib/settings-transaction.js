@@ -0,0 +1,355 @@
+/**
+ * A module that groups settings changes so that they are written together.
+ *
+ * @module settings-transaction
+ * @author Nathan Buchar
+ * @copyright 2016-2017 Nathan Buchar <hello@nathanbuchar.com>
+ * @license ISC
+ */
+
+const assert = require('assert');
+const clone = require('clone');
+
+const { SettingsKeyPathError } = require('./settings-errors');
+const Helpers = require('./settings-helpers');
+
+class SettingsTransaction {
+
+  constructor(obj, opts = {}) {
+
+    /**
+     * The snapshot of the settings object that this transaction changes.
+     *
+     * @type {Object}
+     * @private
+     */
+    this._obj = obj;
+
+    /**
+     * The transaction options.
+     *
+     * @type {Object}
+     * @private
+     */
+    this._opts = Object.assign({}, SettingsTransaction.DefaultOptions, opts);
+
+    /**
+     * Whether the snapshot has been changed by this transaction.
+     *
+     * @type {boolean}
+     * @default false
+     * @private
+     */
+    this._changed = false;
+
+    /**
+     * Whether this transaction has ended. Once ended, it can no longer be
+     * used.
+     *
+     * @type {boolean}
+     * @default false
+     * @private
+     */
+    this._ended = false;
+  }
+
+  /**
+   * Asserts that this transaction has not ended.
+   *
+   * @private
+   */
+  _assertActive() {
+    assert.strictEqual(this._ended, false, 'Transaction has already ended');
+  }
+
+  /**
+   * Ends this transaction.
+   *
+   * @private
+   */
+  _end() {
+    this._ended = true;
+  }
+
+  /**
+   * Returns a copy of the snapshot deeply merged over the defaults.
+   *
+   * @returns {Object}
+   * @private
+   */
+  _getObjWithDefaults() {
+    return Helpers.deepMerge(clone(this._opts.defaults), clone(this._obj));
+  }
+
+  /**
+   * Returns a copy of the value at the given key path, with defaults and
+   * with the secrets within it revealed.
+   *
+   * @param {string|Array} keyPath
+   * @returns {any}
+   * @private
+   */
+  _getValue(keyPath) {
+    const value = Helpers.getValueAtKeyPath(this._getObjWithDefaults(), keyPath);
+
+    return this._opts.revealSecrets(value);
+  }
+
+  /**
+   * Returns a boolean indicating whether the snapshot or the defaults
+   * contain the given key path.
+   *
+   * @param {string|Array} keyPath
+   * @returns {boolean}
+   * @public
+   */
+  has(keyPath) {
+    assert.ok(Helpers.isKeyPath(keyPath), 'First parameter must be a string or an array');
+    this._assertActive();
+
+    return Helpers.hasKeyPath(this._getObjWithDefaults(), keyPath);
+  }
+
+  /**
+   * Returns the value at the given key path, or sets the value at that key
+   * path to the default value, if provided, if the key does not exist.
+   * Defaults are merged in and secrets are revealed.
+   *
+   * @param {string|Array} keyPath
+   * @param {any} [defaultValue]
+   * @returns {any}
+   * @public
+   */
+  get(keyPath, defaultValue) {
+    assert.ok(Helpers.isKeyPath(keyPath), 'First parameter must be a string or an array. Did you mean to use `getAll()` instead?');
+    this._assertActive();
+
+    if (!this.has(keyPath) && typeof defaultValue !== 'undefined') {
+      this.set(keyPath, defaultValue);
+    }
+
+    return this._getValue(keyPath);
+  }
+
+  /**
+   * Returns all settings, with defaults. Secrets are revealed, so that they
+   * are kept if the settings are set again.
+   *
+   * @returns {Object}
+   * @public
+   */
+  getAll() {
+    this._assertActive();
+
+    return this._opts.revealSecrets(this._getObjWithDefaults());
+  }
+
+  /**
+   * Sets the value at the given key path. Set `opts.overwrite` to replace
+   * values in the way of the key path, such as a string that the key path
+   * would be set within, rather than throwing.
+   *
+   * @param {string|Array} keyPath
+   * @param {any} value
+   * @param {Object} [opts={}]
+   * @param {boolean} [opts.overwrite=false]
+   * @returns {SettingsTransaction}
+   * @public
+   */
+  set(keyPath, value, opts = {}) {
+    assert.ok(Helpers.isKeyPath(keyPath), 'First parameter must be a string or an array. Did you mean to use `setAll()` instead?');
+    assert.strictEqual(typeof opts, 'object', 'Third parameter must be an object');
+    this._assertActive();
+
+    Helpers.setValueAtKeyPath(this._obj, keyPath, value, opts.overwrite === true);
+    this._changed = true;
+
+    return this;
+  }
+
+  /**
+   * Sets all settings.
+   *
+   * @param {Object} obj
+   * @returns {SettingsTransaction}
+   * @public
+   */
+  setAll(obj) {
+    assert.strictEqual(typeof obj, 'object', 'First parameter must be an object');
+    this._assertActive();
+
+    this._obj = obj;
+    this._changed = true;
+
+    return this;
+  }
+
+  /**
+   * Deletes the key and value at the given key path. Its default, if it has
+   * one, is read from then on.
+   *
+   * @param {string|Array} keyPath
+   * @returns {SettingsTransaction}
+   * @public
+   */
+  delete(keyPath) {
+    assert.ok(Helpers.isKeyPath(keyPath), 'First parameter must be a string or an array. Did you mean to use `deleteAll()` instead?');
+    this._assertActive();
+
+    if (Helpers.hasKeyPath(this._obj, keyPath)) {
+      Helpers.deleteValueAtKeyPath(this._obj, keyPath);
+      this._changed = true;
+    }
+
+    return this;
+  }
+
+  /**
+   * Returns a copy of the array at the given key path, or an empty array if
+   * the key path does not exist. Throws a SettingsKeyPathError if the value
+   * is not an array.
+   *
+   * @param {string|Array} keyPath
+   * @returns {Array}
+   * @private
+   */
+  _getArray(keyPath) {
+    const value = this._getValue(keyPath);
+
+    if (typeof value === 'undefined') return [];
+
+    if (!Array.isArray(value)) {
+      throw new SettingsKeyPathError(Helpers.normalizeKeyPath(keyPath), 'The value is not an array');
+    }
+
+    return value;
+  }
+
+  /**
+   * Appends the given items to the array at the given key path, creating
+   * the array if the key path does not exist.
+   *
+   * @param {string|Array} keyPath
+   * @param {...any} items
+   * @returns {SettingsTransaction}
+   * @public
+   */
+  push(keyPath, ...items) {
+    assert.ok(Helpers.isKeyPath(keyPath), 'First parameter must be a string or an array');
+
+    return this.pushWith(keyPath, items);
+  }
+
+  /**
+   * Appends the items in the given array to the array at the given key
+   * path, like `push()`. If `opts.maxLength` is given, the oldest items are
+   * removed from the start of the array so that it is no longer than that,
+   * which is useful for most-recently-used lists.
+   *
+   * @param {string|Array} keyPath
+   * @param {Array} items
+   * @param {Object} [opts={}]
+   * @param {number} [opts.maxLength]
+   * @returns {SettingsTransaction}
+   * @public
+   */
+  pushWith(keyPath, items, opts = {}) {
+    assert.ok(Helpers.isKeyPath(keyPath), 'First parameter must be a string or an array');
+    assert.ok(Array.isArray(items), 'Second parameter must be an array');
+    assert.strictEqual(typeof opts, 'object', 'Third parameter must be an object');
+    this._assertActive();
+
+    const array = this._getArray(keyPath).concat(items);
+
+    if (typeof opts.maxLength !== 'undefined') {
+      assert.ok(Number.isInteger(opts.maxLength) && opts.maxLength >= 0, '`maxLength` must be a non-negative integer');
+
+      array.splice(0, Math.max(array.length - opts.maxLength, 0));
+    }
+
+    return this.set(keyPath, array);
+  }
+
+  /**
+   * Removes the items for which the given predicate returns true from the
+   * array at the given key path. The predicate is called with each item and
+   * its index.
+   *
+   * @param {string|Array} keyPath
+   * @param {Function} predicate
+   * @returns {SettingsTransaction}
+   * @public
+   */
+  pull(keyPath, predicate) {
+    assert.ok(Helpers.isKeyPath(keyPath), 'First parameter must be a string or an array');
+    assert.strictEqual(typeof predicate, 'function', 'Second parameter must be a function');
+    this._assertActive();
+
+    const array = this._getArray(keyPath);
+    const remaining = array.filter((item, i) => !predicate(item, i));
+
+    if (remaining.length !== array.length) {
+      this.set(keyPath, remaining);
+    }
+
+    return this;
+  }
+
+  /**
+   * Calls the given function with a copy of the value at the given key path,
+   * with secrets revealed, and sets the value to the value that the
+   * function returns. If the function returns undefined, the value is
+   * deleted.
+   *
+   * @param {string|Array} keyPath
+   * @param {Function} fn
+   * @returns {SettingsTransaction}
+   * @public
+   */
+  update(keyPath, fn) {
+    assert.ok(Helpers.isKeyPath(keyPath), 'First parameter must be a string or an array');
+    assert.strictEqual(typeof fn, 'function', 'Second parameter must be a function');
+    this._assertActive();
+
+    const value = fn(this._getValue(keyPath));
+
+    if (typeof value === 'undefined') {
+      return this.delete(keyPath);
+    }
+
+    return this.set(keyPath, value);
+  }
+
+  /**
+   * Deletes all settings.
+   *
+   * @returns {SettingsTransaction}
+   * @public
+   */
+  deleteAll() {
+    this._assertActive();
+
+    this._obj = {};
+    this._changed = true;
+
+    return this;
+  }
+}
+
+/**
+ * SettingsTransaction default options.
+ *
+ * @type {Object}
+ * @property {Object} defaults - The defaults, which are deeply merged under
+ *   the snapshot whenever it is read, but are never written.
+ * @property {Function} revealSecrets - Returns the given value with the
+ *   secrets within it revealed. The settings instance encrypts them again
+ *   when the transaction is written.
+ * @readonly
+ */
+SettingsTransaction.DefaultOptions = {
+  defaults: {},
+  revealSecrets: value => value
+};
+
+module.exports = SettingsTransaction;
@@ -0,0 +1,362 @@
+/**
+ * A module that parses and stringifies a subset of YAML that is sufficient
+ * for settings files: block mappings and sequences, plain and quoted
+ * scalars, comments, and flow collections that are also valid JSON5.
+ * Anchors, tags, block scalars and multiple documents are not supported.
+ *
+ * @module settings-yaml
+ * @author Nathan Buchar
+ * @copyright 2016-2017 Nathan Buchar <hello@nathanbuchar.com>
+ * @license ISC
+ */
+
+const JSON5 = require('./settings-json5');
+
+/**
+ * Matches numbers, including YAML's spellings of infinity and NaN.
+ *
+ * @type {RegExp}
+ */
+const numberRegExp = /^(?:[-+]?(?:\d+|\d*\.\d+|\d+\.\d*)(?:[eE][-+]?\d+)?|0x[0-9a-fA-F]+|0o[0-7]+|[-+]?\.(?:inf|Inf|INF)|\.(?:nan|NaN|NAN))$/;
+
+/**
+ * Matches strings that can be written without quotes.
+ *
+ * @type {RegExp}
+ */
+const plainRegExp = /^[A-Za-z_][\w ./@-]*[\w./@-]$|^[A-Za-z_]$/;
+
+/**
+ * Matches plain scalars that would be read back as something other than a
+ * string.
+ *
+ * @type {RegExp}
+ */
+const reservedRegExp = /^(?:~|null|Null|NULL|true|True|TRUE|false|False|FALSE|y|Y|yes|Yes|YES|n|N|no|No|NO|on|On|ON|off|Off|OFF)$/;
+
+/**
+ * Throws a syntax error for the given line.
+ *
+ * @param {string} message
+ * @param {Object} [line]
+ * @throws {SyntaxError}
+ */
+const fail = (message, line) => {
+  const location = line ? ` at line ${line.number}` : '';
+
+  throw new SyntaxError(`${message} in YAML${location}`);
+};
+
+/**
+ * Returns the given text without its trailing comment, if any. A comment
+ * starts with a `#` that is at the start of the text or preceded by
+ * whitespace, and is not inside a quoted string.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const stripComment = text => {
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quote) {
+      if (char === '\\' && quote === '"') {
+        i += 1;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i);
+    }
+  }
+
+  return text;
+};
+
+/**
+ * Returns the index of the colon that separates the key from the value in
+ * the given mapping entry, or -1 if the text is not a mapping entry.
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+const findMappingColon = text => {
+  let i = 0;
+
+  if (text[0] === '"' || text[0] === '\'') {
+    const quote = text[0];
+
+    for (i = 1; i < text.length && text[i] !== quote; i++) {
+      if (text[i] === '\\' && quote === '"') i += 1;
+      if (text[i] === quote && quote === '\'' && text[i + 1] === quote) i += 1;
+    }
+
+    i += 1;
+
+    return text[i] === ':' && (i + 1 === text.length || text[i + 1] === ' ') ? i : -1;
+  }
+
+  if (text[0] === '[' || text[0] === '{') return -1;
+
+  for (; i < text.length; i++) {
+    if (text[i] === ':' && (i + 1 === text.length || text[i + 1] === ' ')) return i;
+  }
+
+  return -1;
+};
+
+/**
+ * Parses the given scalar.
+ *
+ * @param {string} text
+ * @param {Object} line
+ * @returns {any}
+ */
+const parseScalar = (text, line) => {
+  if (/^(?:|~|null|Null|NULL)$/.test(text)) return null;
+  if (/^(?:true|True|TRUE)$/.test(text)) return true;
+  if (/^(?:false|False|FALSE)$/.test(text)) return false;
+
+  if (numberRegExp.test(text)) {
+    if (/\.(?:nan|NaN|NAN)$/.test(text)) return NaN;
+    if (/\.(?:inf|Inf|INF)$/.test(text)) return text[0] === '-' ? -Infinity : Infinity;
+    if (/^0o/.test(text)) return parseInt(text.slice(2), 8);
+
+    return Number(text);
+  }
+
+  try {
+    if (text[0] === '"') return JSON.parse(text);
+    if (text[0] === '[' || text[0] === '{') return JSON5.parse(text);
+  } catch (err) {
+    fail(`Invalid ${text[0] === '"' ? 'string' : 'flow collection'}`, line);
+  }
+
+  if (text[0] === '\'') {
+    if (!/^'(?:[^']|'')*'$/.test(text)) fail('Invalid string', line);
+
+    return text.slice(1, -1).replace(/''/g, '\'');
+  }
+
+  if (/^[|>]/.test(text)) fail('Block scalars are not supported', line);
+  if (/^[&*!]/.test(text)) fail('Anchors, aliases and tags are not supported', line);
+
+  return text;
+};
+
+/**
+ * Parses the given YAML text.
+ *
+ * @param {string} text
+ * @returns {any}
+ * @throws {SyntaxError}
+ */
+module.exports.parse = text => {
+  const lines = [];
+
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((raw, i) => {
+    const content = stripComment(raw).replace(/\s+$/, '');
+    const indent = content.length - content.replace(/^ +/, '').length;
+
+    if (content.trim() === '' || /^(?:---|\.\.\.)$/.test(content)) return;
+    if (/^\t/.test(content.slice(indent))) fail('Tabs are not allowed for indentation', { number: i + 1 });
+
+    lines.push({ number: i + 1, indent, text: content.slice(indent) });
+  });
+
+  let pos = 0;
+
+  const isSequenceEntry = line => line.text === '-' || line.text.indexOf('- ') === 0;
+
+  // Parses the value of an entry whose inline value is empty, which is
+  // either a nested block or null. The value of a mapping entry may be a
+  // sequence at the same indentation as the entry. Nested blocks are parsed
+  // with the given block parser, which in turn parses sequences and
+  // mappings.
+  const parseNested = (indent, isMappingEntry, parseBlock) => {
+    const next = lines[pos];
+    if (!next) return null;
+
+    const isSequenceValue = isMappingEntry && next.indent === indent && isSequenceEntry(next);
+
+    if (next.indent > indent || isSequenceValue) {
+      return parseBlock(next.indent);
+    }
+
+    return null;
+  };
+
+  const parseSequence = (indent, parseBlock) => {
+    const arr = [];
+
+    while (pos < lines.length && lines[pos].indent === indent && isSequenceEntry(lines[pos])) {
+      const line = lines[pos];
+      const rest = line.text.slice(1).replace(/^ +/, '');
+
+      if (rest === '') {
+        pos += 1;
+        arr.push(parseNested(indent, false, parseBlock));
+      } else if (findMappingColon(rest) !== -1 || /^- /.test(rest) || rest === '-') {
+        // The entry starts a nested block on the same line, so treat the
+        // rest of the line as if it was on a line of its own.
+        lines[pos] = {
+          number: line.number,
+          indent: indent + (line.text.length - rest.length),
+          text: rest
+        };
+
+        arr.push(parseBlock(lines[pos].indent));
+      } else {
+        pos += 1;
+        arr.push(parseScalar(rest, line));
+      }
+    }
+
+    return arr;
+  };
+
+  const parseMapping = (indent, parseBlock) => {
+    const obj = {};
+
+    while (pos < lines.length && lines[pos].indent === indent && !isSequenceEntry(lines[pos])) {
+      const line = lines[pos];
+      const colon = findMappingColon(line.text);
+
+      if (colon === -1) fail('Expected a mapping entry', line);
+
+      const key = parseScalar(line.text.slice(0, colon), line);
+      const rest = line.text.slice(colon + 1).replace(/^ +/, '');
+
+      if (Object.prototype.hasOwnProperty.call(obj, key)) fail(`Duplicate key "${key}"`, line);
+
+      pos += 1;
+
+      // Define the entry like JSON.parse does, so that a "__proto__" key does
+      // not replace the prototype of the object.
+      Object.defineProperty(obj, key, {
+        value: rest === '' ? parseNested(indent, true, parseBlock) : parseScalar(rest, line),
+        writable: true,
+        enumerable: true,
+        configurable: true
+      });
+    }
+
+    return obj;
+  };
+
+  const parseBlock = indent => {
+    const value = isSequenceEntry(lines[pos])
+      ? parseSequence(indent, parseBlock)
+      : parseMapping(indent, parseBlock);
+
+    if (pos < lines.length && lines[pos].indent > indent) fail('Bad indentation', lines[pos]);
+
+    return value;
+  };
+
+  if (lines.length === 0) return null;
+
+  // A document may be a single scalar or flow collection.
+  if (lines.length === 1 && !isSequenceEntry(lines[0]) && findMappingColon(lines[0].text) === -1) {
+    return parseScalar(lines[0].text, lines[0]);
+  }
+
+  const value = parseBlock(lines[0].indent);
+
+  if (pos < lines.length) fail('Bad indentation', lines[pos]);
+
+  return value;
+};
+
+/**
+ * Stringifies the given scalar.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+const stringifyScalar = value => {
+  if (typeof value === 'undefined' || value === null) return 'null';
+  if (typeof value === 'number' && Number.isNaN(value)) return '.nan';
+  if (value === Infinity) return '.inf';
+  if (value === -Infinity) return '-.inf';
+
+  if (typeof value === 'string') {
+    const isPlain = plainRegExp.test(value)
+      && !reservedRegExp.test(value)
+      && !numberRegExp.test(value)
+      && !/: | #/.test(value);
+
+    return isPlain ? value : JSON.stringify(value);
+  }
+
+  return String(value);
+};
+
+/**
+ * Stringifies the given value if it is a scalar or an empty collection,
+ * which is written in flow style.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+const stringifyInline = value => {
+  if (Array.isArray(value)) return '[]';
+  if (value !== null && typeof value === 'object') return '{}';
+
+  return stringifyScalar(value);
+};
+
+/**
+ * Stringifies the given value as YAML.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+module.exports.stringify = value => {
+  const lines = [];
+
+  const isCollection = value => value !== null && typeof value === 'object'
+    && Object.keys(value).length > 0;
+
+  const stringifyValue = (value, indent) => {
+    if (Array.isArray(value)) {
+      value.forEach(item => {
+        if (isCollection(item)) {
+          const start = lines.length;
+
+          stringifyValue(item, `${indent}  `);
+
+          // Start the first line of the nested block on the entry's line.
+          lines[start] = `${indent}- ${lines[start].slice(indent.length + 2)}`;
+        } else {
+          lines.push(`${indent}- ${stringifyInline(item)}`);
+        }
+      });
+    } else {
+      Object.keys(value).forEach(key => {
+        const item = value[key];
+
+        if (typeof item === 'undefined') return;
+
+        if (isCollection(item)) {
+          lines.push(`${indent}${stringifyScalar(key)}:`);
+          stringifyValue(item, Array.isArray(item) ? indent : `${indent}  `);
+        } else {
+          lines.push(`${indent}${stringifyScalar(key)}: ${stringifyInline(item)}`);
+        }
+      });
+    }
+  };
+
+  if (isCollection(value)) {
+    stringifyValue(value, '');
+  } else {
+    lines.push(stringifyInline(value));
+  }
+
+  return lines.join('\n') + '\n';
+};
@@ -8,14 +8,21 @@
  */
 
 const assert = require('assert');
+const clone = require('clone');
 const electron = require('electron');
 const { EventEmitter } = require('events');
-const fs = require('fs');
-const jsonfile = require('jsonfile');
 const path = require('path');
+const util = require('util');
 
+const { SettingsDecryptionError, SettingsValidationError } = require('./settings-errors');
+const Cipher = require('./settings-cipher');
+const FileBackend = require('./settings-file-backend');
 const Helpers = require('./settings-helpers');
+const Migrations = require('./settings-migrations');
 const Observer = require('./settings-observer');
+const Schema = require('./settings-schema');
+const Serializers = require('./settings-serializers');
+const Transaction = require('./settings-transaction');
 
 /**
  * The name of the settings file.
@@ -25,16 +32,77 @@ const Observer = require('./settings-observer');
 const defaultSettingsFileName = 'Settings';
 
 /**
- * The electron-settings class.
+ * The reserved key under which electron-settings stores its own data, such
+ * as the last migrated version, in the settings file.
+ *
+ * @type {string}
+ */
+const internalKey = '__internal__';
+
+/**
+ * The only property of the object that an encrypted secret is stored as in
+ * the settings file.
+ *
+ * @type {string}
+ */
+const secretProperty = '$secret';
+
+/**
+ * The value that secrets are replaced with when they are redacted.
+ *
+ * @type {string}
+ */
+const redactedSecret = '[REDACTED]';
+
+/**
+ * Returns the Electron app module. Renderer processes can only access it
+ * through `remote`, which secure configurations disable. Such renderer
+ * processes must read their settings through the main process instead.
+ *
+ * @returns {Object}
+ */
+const getApp = () => {
+  const app = electron.app || (electron.remote && electron.remote.app);
+
+  assert.ok(app, 'The Electron app module is not available in this process. Set the `cwd` option, or use the IPC backend or the preload API to access settings through the main process');
+
+  return app;
+};
+
+/**
+ * The electron-settings class. Each instance manages its own settings file,
+ * so separate parts of an app can keep their settings isolated by creating
+ * instances with different names.
+ *
+ * Settings are addressed by key paths, such as "foo.bar". Keys containing
+ * dots can be escaped, as in "hosts.example\\.com", or quoted in
+ * brackets, as in "hosts['example.com']". Array elements are addressed by
+ * their index in brackets, as in "servers[0].host". A key path may also be
+ * an array of keys, such as `['hosts', 'example.com']`.
+ *
+ * Setting or deleting a value throws a SettingsKeyPathError if the key path
+ * contains "__proto__", "constructor" or "prototype", or if it leads
+ * through a value that is not an object, such as a string. Delete or
+ * replace that value first.
  *
  * @extends EventEmitter
  * @class
  */
 class Settings extends EventEmitter {
 
-  constructor() {
+  constructor(opts = {}) {
     super();
 
+    assert.strictEqual(typeof opts, 'object', 'First parameter must be an object');
+
+    /**
+     * The options for this Settings instance.
+     *
+     * @type {Object}
+     * @private
+     */
+    this._opts = Object.assign({}, Settings.DefaultOptions, opts);
+
     /**
      * The absolute path to the custom settings file on the disk.
      *
@@ -45,22 +113,209 @@ class Settings extends EventEmitter {
     this._customSettingsFilePath = null;
 
     /**
-     * The FSWatcher instance. This will watch if the settings file and
-     * notify key path observers.
+     * The backend that stores the settings in the settings file, if the
+     * `backend` option is not set. Created when it is first needed.
+     *
+     * @type {SettingsFileBackend}
+     * @default null
+     * @private
+     */
+    this._fileBackend = null;
+
+    /**
+     * Stops watching the backend for changes, if it is being watched.
+     *
+     * @type {Function}
+     * @default null
+     * @private
+     */
+    this._unwatchBackend = null;
+
+    /**
+     * The parsed contents of the settings file, kept in memory so that the
+     * settings file does not need to be read and parsed on every access.
+     * Cleared when the settings file is changed outside of
+     * ElectronSettings' jurisdiction.
+     *
+     * @type {Object}
+     * @default null
+     * @private
+     */
+    this._cache = null;
+
+    /**
+     * The settings as of the last change event, deeply merged over the
+     * defaults and without internal settings. The next change event
+     * reports the changes since this snapshot.
+     *
+     * @type {Object}
+     * @default null
+     * @private
+     */
+    this._snapshot = null;
+
+    /**
+     * The key paths that the settings have been written at since the last
+     * change event. A key path is null if the write was not made at a key
+     * path, such as when a transaction is written.
+     *
+     * @type {Array}
+     * @private
+     */
+    this._writtenKeyPaths = [];
+
+    /**
+     * The number of times that the cached settings have been replaced by
+     * settings that were written, used to tell whether the settings were
+     * written while they were read or written asynchronously.
+     *
+     * @type {number}
+     * @private
+     */
+    this._writeCount = 0;
+
+    /**
+     * The number of asynchronous writes in progress.
+     *
+     * @type {number}
+     * @private
+     */
+    this._pendingAsyncWrites = 0;
+
+    /**
+     * The ciphers created from the `encryptionKey` and `secretKey` options,
+     * keyed by the key that they were created from.
+     *
+     * @type {Map}
+     * @private
+     */
+    this._ciphers = new Map();
+
+    /**
+     * The built in serializers, keyed by format.
+     *
+     * @type {Map}
+     * @private
+     */
+    this._serializers = new Map();
+
+    /**
+     * The defaults, which are deeply merged under the settings whenever
+     * they are read.
+     *
+     * @type {Object}
+     * @private
+     */
+    this._defaults = {};
+
+    /**
+     * The queue of pending asynchronous operations.
+     *
+     * @type {Promise}
+     * @private
+     */
+    this._queue = Promise.resolve();
+
+    /**
+     * The number of nested synchronous calls holding the lock on the stored
+     * settings. The lock is only acquired by the outermost call.
+     *
+     * @type {number}
+     * @private
+     */
+    this._lockDepth = 0;
+
+    /**
+     * The number of nested asynchronous calls holding the lock on the stored
+     * settings. These are counted apart from the synchronous calls, which
+     * may run while an asynchronous call is waiting and must still hold the
+     * lock themselves.
+     *
+     * @type {number}
+     * @private
+     */
+    this._asyncLockDepth = 0;
+
+    /**
+     * The changes that have been made through this instance, oldest first,
+     * if the `history` option is enabled. Each has the `keyPath` that was
+     * changed, its stored `oldValue` and `newValue`, and a `timestamp`.
+     *
+     * @type {Object[]}
+     * @private
+     */
+    this._history = [];
+
+    /**
+     * The number of changes in the history that have not been undone. The
+     * changes after them can be redone.
+     *
+     * @type {number}
+     * @default 0
+     * @private
+     */
+    this._historyIndex = 0;
+
+    /**
+     * The stored settings at each checkpoint, keyed by checkpoint name.
+     *
+     * @type {Map}
+     * @private
+     */
+    this._checkpoints = new Map();
+
+    /**
+     * Whether a change from the history is being undone or redone, in which
+     * case it is not recorded again.
+     *
+     * @type {boolean}
+     * @default false
+     * @private
+     */
+    this._isApplyingHistory = false;
+
+    /**
+     * The options of the pending write, if the settings have been changed
+     * but not yet written to the disk.
+     *
+     * @type {Object}
+     * @default null
+     * @private
+     */
+    this._pendingWriteOpts = null;
+
+    /**
+     * The timeout after which pending settings are written to the disk.
      *
-     * @type {FSWatcher}
+     * @type {Timeout}
      * @default null
      * @private
      */
-    this._fsWatcher = null;
+    this._flushTimeout = null;
+
+    /**
+     * Called when pending settings should be written to the disk.
+     *
+     * @type {Object}
+     * @private
+     */
+    this._handleFlushTimeout = this._onFlushTimeout.bind(this);
+
+    /**
+     * Called when the app is about to quit.
+     *
+     * @type {Object}
+     * @private
+     */
+    this._handleBeforeQuit = this._onBeforeQuit.bind(this);
 
     /**
-     * Called when the settings file is changed or renamed.
+     * Called when the settings are changed outside of the backend.
      *
      * @type {Object}
      * @private
      */
-    this._handleSettingsFileChange = this._onSettingsFileChange.bind(this);
+    this._handleBackendChange = this._onBackendChange.bind(this);
   }
 
   /**
@@ -72,9 +327,15 @@ class Settings extends EventEmitter {
   _getSettingsFilePath() {
     if (this._customSettingsFilePath) return this._customSettingsFilePath;
 
-    const app = electron.app || electron.remote.app;
-    const userDataPath = app.getPath('userData');
-    const defaultSettingsFilePath = path.join(userDataPath, defaultSettingsFileName);
+    const { name, cwd, fileExtension } = this._opts;
+    const extension = fileExtension ? `.${fileExtension.replace(/^\./, '')}` : '';
+    let dirPath = cwd;
+
+    if (!dirPath) {
+      dirPath = getApp().getPath('userData');
+    }
+
+    const defaultSettingsFilePath = path.join(dirPath, name + extension);
 
     return defaultSettingsFilePath;
   }
@@ -86,10 +347,31 @@ class Settings extends EventEmitter {
    * @private
    */
   _setSettingsFilePath(filePath) {
+    this._flushSettings();
+
     this._customSettingsFilePath = filePath;
+    this._resetSettingsFile();
+  }
 
-    // Reset FSWatcher.
-    this._unwatchSettings(true);
+  /**
+   * Forgets the cached settings and stops watching the backend. Called when
+   * the settings file path or the backend has changed.
+   *
+   * @private
+   */
+  _resetSettingsFile() {
+    this._cache = null;
+    this._snapshot = null;
+
+    // Forget the state of the previous settings file, such as its comments
+    // and the changes that were made to it.
+    this._serializers.clear();
+    this._history = [];
+    this._historyIndex = 0;
+    this._checkpoints.clear();
+
+    this._unwatchSettings();
+    this._fileBackend = null;
   }
 
   /**
@@ -102,350 +384,2138 @@ class Settings extends EventEmitter {
   }
 
   /**
-   * Watches the settings file for changes using the native `FSWatcher`
-   * class in case the settings file is changed outside of
+   * Returns the backend that stores the settings. Unless the `backend`
+   * option is set, this is a file backend for the settings file.
+   *
+   * @returns {Object}
+   * @private
+   */
+  _getBackend() {
+    if (this._opts.backend) return this._opts.backend;
+
+    if (!this._fileBackend) {
+      const { backup } = this._opts;
+
+      this._fileBackend = new FileBackend(this._getSettingsFilePath(), { backup });
+    }
+
+    return this._fileBackend;
+  }
+
+  /**
+   * Returns the serializer that is given to the backend, which serializes
+   * and encrypts settings objects with the given write options.
+   *
+   * @param {Object} [opts={}]
+   * @returns {Object}
+   * @private
+   */
+  _getBackendSerializer(opts = {}) {
+    return {
+      parse: contents => this._parseSettings(contents),
+      stringify: obj => this._serializeSettings(obj, opts)
+    };
+  }
+
+  /**
+   * Watches the backend in case the settings are changed outside of
    * ElectronSettings' jursidiction.
    *
    * @private
    */
   _watchSettings() {
-    if (!this._fsWatcher) {
-      try {
-        this._fsWatcher = fs.watch(this._getSettingsFilePath(), this._handleSettingsFileChange);
-      } catch (err) {
-        // File may not exist yet or the user may not have permission to
-        // access the file or directory. Fail gracefully.
-      }
+    if (!this._unwatchBackend) {
+      this._unwatchBackend = this._getBackend().watch(this._handleBackendChange);
     }
   }
 
   /**
-   * Unwatches the settings file by closing the FSWatcher and nullifying its
-   * references. If the `reset` parameter is true, attempt to watch the
-   * settings file again.
+   * Stops watching the backend.
    *
-   * @param {boolean} [reset=false]
    * @private
    */
-  _unwatchSettings(reset = false) {
-    if (this._fsWatcher) {
-      this._fsWatcher.close();
-      this._fsWatcher = null;
-
-      if (reset) {
-        this._watchSettings();
-      }
+  _unwatchSettings() {
+    if (this._unwatchBackend) {
+      this._unwatchBackend();
+      this._unwatchBackend = null;
     }
   }
 
   /**
-   * Ensures that the settings file exists, then initializes the FSWatcher.
+   * Reads the settings from the backend into the cache, creating them if
+   * they do not exist yet, then watches the backend.
    *
    * @private
    */
   _ensureSettings() {
-    const settingsFilePath = this._getSettingsFilePath();
+    const backend = this._getBackend();
+    const serializer = this._getBackendSerializer();
+    let obj;
 
     try {
-      jsonfile.readFileSync(settingsFilePath);
+      obj = backend.read(serializer);
     } catch (err) {
-      try {
-        jsonfile.writeFileSync(settingsFilePath, {});
-      } catch (err) {
-        // Cannot read or write file. The user may not have permission to
-        // access the file or directory. Throw error.
+      // The settings are not corrupt if they could not be decrypted, so
+      // never reset them.
+      if (!(err instanceof SyntaxError)) throw err;
+
+      obj = this._recoverSettings(err);
+    }
+
+    if (!obj) {
+      obj = {};
+      backend.write(obj, serializer);
+    }
+
+    this._cache = obj;
+    this._watchSettings();
+
+    if (!this._snapshot) {
+      this._snapshot = this._readSettingsWithDefaults();
+    }
+  }
+
+  /**
+   * Recovers from settings that could not be parsed. The corrupt settings
+   * are moved aside so that they are never overwritten, if the backend
+   * supports it, then the settings are reset or restored from the backup,
+   * or the error is thrown, depending on the `onCorrupt` option. Returns
+   * the recovered settings object.
+   *
+   * @param {Error} err - The error thrown while parsing the settings.
+   * @returns {Object}
+   * @emits ElectronSettings:corrupt
+   * @private
+   */
+  _recoverSettings(err) {
+    const backend = this._getBackend();
+    const serializer = this._getBackendSerializer();
+    const corruptFilePath = typeof backend.recover === 'function' ? backend.recover(err) : null;
+    let action = this._opts.onCorrupt;
+    let obj = {};
+
+    if (typeof action === 'function') {
+      action = action(err, corruptFilePath);
+    }
+
+    switch (action) {
+      case Settings.CorruptActions.THROW: {
+        this.emit(Settings.Events.CORRUPT, err, corruptFilePath);
         throw err;
       }
+      case Settings.CorruptActions.RESTORE: {
+        try {
+          obj = backend.restore(serializer);
+          break;
+        } catch (err) {
+          // The backend may not support backups, or the backup may not
+          // exist or may also be corrupt. Fall through and reset the
+          // settings instead.
+        }
+      }
+      // falls through
+      default: {
+        obj = {};
+        backend.write(obj, serializer);
+      }
     }
 
-    this._watchSettings();
+    this.emit(Settings.Events.CORRUPT, err, corruptFilePath);
+
+    return obj;
   }
 
   /**
-   * Writes the settings to the disk.
+   * Returns the given settings object serialized for writing to the disk.
    *
-   * @param {Object} [obj={}]
+   * @param {Object} obj
    * @param {Object} [opts={}]
+   * @returns {string}
    * @private
    */
-  _writeSettings(obj = {}, opts = {}) {
-    this._ensureSettings();
+  _serializeSettings(obj, opts = {}) {
+    const cipher = this._getCipher();
+    const contents = this._getSerializer().stringify(obj, opts);
 
-    try {
-      const spaces = opts.prettify ? 2 : 0;
+    return cipher ? cipher.encrypt(contents) : contents;
+  }
+
+  /**
+   * Returns the settings object parsed from the given contents of the
+   * settings file.
+   *
+   * @param {string} contents
+   * @returns {Object}
+   * @throws {SettingsDecryptionError} If the contents could not be decrypted.
+   * @throws {SyntaxError} If the contents could not be parsed.
+   * @private
+   */
+  _parseSettings(contents) {
+    const cipher = this._getCipher();
+
+    if (cipher) {
+      try {
+        contents = cipher.decrypt(contents);
+      } catch (err) {
+        throw new SettingsDecryptionError(err);
+      }
+    } else if (Cipher.isEncrypted(contents)) {
+      // Encrypted contents cannot be parsed, but they are not corrupt, so
+      // they must not be moved aside.
+      throw new SettingsDecryptionError();
+    }
+
+    return this._getSerializer().parse(contents.replace(/^\uFEFF/, ''));
+  }
+
+  /**
+   * Returns the serializer that the settings file is written with. Unless
+   * the `serializer` option is a custom serializer or the name of a
+   * format, the format is determined by the settings file extension.
+   *
+   * @returns {Object}
+   * @private
+   */
+  _getSerializer() {
+    const { serializer } = this._opts;
+
+    if (serializer && typeof serializer === 'object') return serializer;
+
+    const format = serializer || Serializers.getFormat(this._getSettingsFilePath());
+
+    if (!this._serializers.has(format)) {
+      this._serializers.set(format, Serializers.createSerializer(format));
+    }
+
+    return this._serializers.get(format);
+  }
+
+  /**
+   * Returns the cipher that the settings file is encrypted with, or null if
+   * the settings file is not encrypted.
+   *
+   * @returns {Object}
+   * @private
+   */
+  _getCipher() {
+    const { cipher, encryptionKey } = this._opts;
+
+    if (cipher) return cipher;
+    if (!encryptionKey) return null;
+
+    return this._getCipherForKey(encryptionKey);
+  }
+
+  /**
+   * Returns the built in cipher for the given key, creating it if it does
+   * not exist yet.
+   *
+   * @param {string|Buffer} key
+   * @returns {Object}
+   * @private
+   */
+  _getCipherForKey(key) {
+    if (!this._ciphers.has(key)) {
+      this._ciphers.set(key, Cipher.createCipher(key));
+    }
+
+    return this._ciphers.get(key);
+  }
+
+  /**
+   * Returns the cipher that secrets are encrypted with.
+   *
+   * @returns {Object}
+   * @private
+   */
+  _getSecretCipher() {
+    const { secretKey } = this._opts;
+
+    assert.ok(secretKey, 'The `secretKey` option must be set to use secrets');
+
+    return this._getCipherForKey(secretKey);
+  }
+
+  /**
+   * Returns a boolean indicating whether the given value is an encrypted
+   * secret.
+   *
+   * @param {any} value
+   * @returns {boolean}
+   * @private
+   */
+  _isSecret(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+      && Object.keys(value).length === 1 && typeof value[secretProperty] === 'string';
+  }
+
+  /**
+   * Returns the given value encrypted as a secret.
+   *
+   * @param {any} value
+   * @returns {Object}
+   * @private
+   */
+  _encryptSecret(value) {
+    const contents = this._getSecretCipher().encrypt(JSON.stringify(value));
+
+    return { [secretProperty]: contents.trim() };
+  }
+
+  /**
+   * Returns the value of the given encrypted secret.
+   *
+   * @param {Object} secret
+   * @returns {any}
+   * @throws {SettingsDecryptionError} If the secret could not be decrypted.
+   * @private
+   */
+  _decryptSecret(secret) {
+    const cipher = this._getSecretCipher();
+
+    try {
+      return JSON.parse(cipher.decrypt(secret[secretProperty]));
+    } catch (err) {
+      throw new SettingsDecryptionError(err);
+    }
+  }
+
+  /**
+   * Returns the given value with all encrypted secrets within it either
+   * decrypted, if `reveal` is true, or redacted.
+   *
+   * @param {any} value
+   * @param {boolean} reveal
+   * @returns {any}
+   * @private
+   */
+  _revealSecrets(value, reveal) {
+    if (this._isSecret(value)) {
+      return reveal ? this._decryptSecret(value) : redactedSecret;
+    }
+
+    if (value !== null && typeof value === 'object') {
+      Object.keys(value).forEach(key => {
+        value[key] = this._revealSecrets(value[key], reveal);
+      });
+    }
+
+    return value;
+  }
+
+  /**
+   * Returns the given settings object with the values at the key paths
+   * given by the `secretKeys` option encrypted as secrets. The given
+   * settings object is not modified.
+   *
+   * @param {Object} obj
+   * @returns {Object}
+   * @private
+   */
+  _sealSecrets(obj) {
+    const keyPaths = this._opts.secretKeys.filter(keyPath => (
+      Helpers.hasKeyPath(obj, keyPath) && !this._isSecret(Helpers.getValueAtKeyPath(obj, keyPath))
+    ));
+
+    if (keyPaths.length > 0) {
+      obj = clone(obj);
+
+      keyPaths.forEach(keyPath => {
+        const value = Helpers.getValueAtKeyPath(obj, keyPath);
+
+        Helpers.setValueAtKeyPath(obj, keyPath, this._encryptSecret(value));
+      });
+    }
+
+    return obj;
+  }
+
+  /**
+   * Writes the settings to the disk, or defers the write until the pending
+   * settings are flushed if the write mode is not "immediate". The key path
+   * that the settings were changed at, if any, is reported with the next
+   * change event.
+   *
+   * @param {Object} [obj={}]
+   * @param {Object} [opts={}]
+   * @param {string} [keyPath=null]
+   * @private
+   */
+  _writeSettings(obj = {}, opts = {}, keyPath = null) {
+    if (!this._cache) {
+      this._ensureSettings();
+    }
+
+    obj = this._sealSecrets(obj);
+
+    this._writtenKeyPaths.push(keyPath);
+
+    if (this._opts.writeMode === Settings.WriteModes.IMMEDIATE) {
+      this._storeSettings(obj, opts);
+    } else {
+      this._deferWriteSettings(obj, opts);
+    }
+  }
+
+  /**
+   * Keeps the settings in memory and schedules them to be written to the
+   * disk, so that consecutive writes are coalesced into a single write.
+   *
+   * @param {Object} obj
+   * @param {Object} opts
+   * @private
+   */
+  _deferWriteSettings(obj, opts) {
+    this._cache = JSON.parse(JSON.stringify(obj));
+    this._writeCount += 1;
+    this._pendingWriteOpts = opts;
+
+    if (this._opts.writeMode === Settings.WriteModes.DEBOUNCE) {
+      clearTimeout(this._flushTimeout);
+      this._flushTimeout = null;
+    }
+
+    if (!this._flushTimeout) {
+      const { writeMode, writeDebounce } = this._opts;
+      const delay = writeMode === Settings.WriteModes.DEBOUNCE ? writeDebounce : 0;
+
+      this._flushTimeout = setTimeout(this._handleFlushTimeout, delay);
+    }
+
+    // Make sure that pending settings are not lost when the app quits.
+    if (electron.app) {
+      electron.app.removeListener('before-quit', this._handleBeforeQuit);
+      electron.app.on('before-quit', this._handleBeforeQuit);
+    }
+  }
+
+  /**
+   * Writes pending settings to the disk, if there are any.
+   *
+   * @private
+   */
+  _flushSettings() {
+    if (this._pendingWriteOpts) {
+      const opts = this._pendingWriteOpts;
+
+      clearTimeout(this._flushTimeout);
+
+      this._flushTimeout = null;
+      this._pendingWriteOpts = null;
+
+      if (electron.app) {
+        electron.app.removeListener('before-quit', this._handleBeforeQuit);
+      }
+
+      try {
+        this._storeSettings(this._cache, opts);
+      } catch (err) {
+        // Keep the pending settings, so that the next flush writes them.
+        this._pendingWriteOpts = opts;
+
+        if (electron.app) {
+          electron.app.on('before-quit', this._handleBeforeQuit);
+        }
+
+        throw err;
+      }
+    }
+  }
+
+  /**
+   * Called when it is time to write pending settings to the disk.
+   *
+   * @emits ElectronSettings:error
+   * @private
+   */
+  _onFlushTimeout() {
+    try {
+      this._flushSettings();
+    } catch (err) {
+      this._emitError(err);
+    }
+  }
+
+  /**
+   * Called when the app is about to quit. Writes the pending settings, if
+   * any.
+   *
+   * @emits ElectronSettings:error
+   * @private
+   */
+  _onBeforeQuit() {
+    try {
+      this._flushSettings();
+    } catch (err) {
+      this._emitError(err);
+    }
+  }
+
+  /**
+   * Broadcasts the "error" event for an error that there is no caller to
+   * throw to, but only if it is being listened to, since an unhandled
+   * "error" event would crash the process.
+   *
+   * @param {Error} err
+   * @emits ElectronSettings:error
+   * @private
+   */
+  _emitError(err) {
+    if (this.listenerCount(Settings.Events.ERROR) > 0) {
+      this.emit(Settings.Events.ERROR, err);
+    }
+  }
+
+  /**
+   * Returns the options that the stored settings are locked with.
+   *
+   * @returns {Object}
+   * @private
+   */
+  _getLockOptions() {
+    return { timeout: this._opts.lockTimeout, staleAge: this._opts.lockStaleAge };
+  }
+
+  /**
+   * Returns a boolean indicating whether the stored settings should be
+   * locked, which is the case if the `lock` option is set and the backend
+   * supports locking.
+   *
+   * @returns {boolean}
+   * @private
+   */
+  _shouldLockSettings() {
+    return this._opts.lock && typeof this._getBackend().lock === 'function';
+  }
+
+  /**
+   * Calls the given function while holding the lock on the stored settings,
+   * if they should be locked, and returns what it returns.
+   *
+   * @param {Function} fn
+   * @returns {any}
+   * @private
+   */
+  _lockSettings(fn) {
+    if (!this._shouldLockSettings() || this._lockDepth > 0) return fn();
+
+    const release = this._getBackend().lock(this._getLockOptions());
+
+    this._lockDepth += 1;
+
+    try {
+      return fn();
+    } finally {
+      this._lockDepth -= 1;
+      release();
+    }
+  }
+
+  /**
+   * Asynchronously calls the given function while holding the lock on the
+   * stored settings, if they should be locked.
+   *
+   * @see Settings#_lockSettings
+   * @param {Function} fn - A function that returns a promise.
+   * @returns {Promise}
+   * @private
+   */
+  async _lockSettingsAsync(fn) {
+    if (!this._shouldLockSettings() || this._asyncLockDepth > 0) return fn();
+
+    const backend = this._getBackend();
+    const release = typeof backend.lockAsync === 'function'
+      ? await backend.lockAsync(this._getLockOptions())
+      : backend.lock(this._getLockOptions());
+
+    this._asyncLockDepth += 1;
+
+    try {
+      return await fn();
+    } finally {
+      this._asyncLockDepth -= 1;
+      release();
+    }
+  }
+
+  /**
+   * Returns a boolean indicating whether the given read-modify-write of the
+   * settings should hold the lock. Deferred writes cannot hold the lock
+   * until they are written, so only the write itself is locked.
+   *
+   * @param {boolean} [isAsync=false] - Whether the read-modify-write is
+   *   asynchronous.
+   * @returns {boolean}
+   * @private
+   */
+  _shouldLockMutation(isAsync = false) {
+    const lockDepth = isAsync ? this._asyncLockDepth : this._lockDepth;
+
+    return this._opts.writeMode === Settings.WriteModes.IMMEDIATE
+      && lockDepth === 0
+      && this._shouldLockSettings();
+  }
+
+  /**
+   * Calls the given function, which reads, changes and writes the settings,
+   * while holding the lock on the stored settings, so that changes made by
+   * other processes in the meantime are not lost. Returns what it returns.
+   *
+   * @param {Function} fn
+   * @returns {any}
+   * @private
+   */
+  _mutateSettings(fn) {
+    if (!this._shouldLockMutation()) return fn();
+
+    return this._lockSettings(() => {
+      // Another process may have changed the settings since they were last
+      // read without the backend having reported it yet.
+      this._onBackendChange();
+
+      return fn();
+    });
+  }
+
+  /**
+   * Asynchronously calls the given function, which reads, changes and
+   * writes the settings, while holding the lock on the stored settings.
+   *
+   * @see Settings#_mutateSettings
+   * @param {Function} fn - A function that returns a promise.
+   * @returns {Promise}
+   * @private
+   */
+  _mutateSettingsAsync(fn) {
+    if (!this._shouldLockMutation(true)) return fn();
+
+    return this._lockSettingsAsync(() => {
+      this._onBackendChange();
+
+      return fn();
+    });
+  }
+
+  /**
+   * Writes the settings to the backend. If `rewrite` is true, copies of the
+   * settings kept by the backend, such as backups, are rewritten too.
+   *
+   * @param {Object} obj
+   * @param {Object} opts
+   * @param {boolean} [rewrite=false]
+   * @private
+   */
+  _storeSettings(obj, opts, rewrite = false) {
+    const backend = this._getBackend();
+    const serializer = this._getBackendSerializer(opts);
+
+    this._lockSettings(() => {
+      if (rewrite && typeof backend.rewrite === 'function') {
+        backend.rewrite(obj, serializer);
+      } else {
+        backend.write(obj, serializer);
+      }
+    });
+
+    // Cache what was written, exactly as it will be read back.
+    this._cache = JSON.parse(JSON.stringify(obj));
+    this._writeCount += 1;
+
+    this._emitChangeEvent(Settings.ChangeSources.INTERNAL);
+  }
+
+  /**
+   * Returns the settings object.
+   *
+   * @returns {Object}
+   * @private
+   */
+  _readSettings() {
+    if (!this._cache) {
+      this._ensureSettings();
+    }
+
+    // Callers are free to modify the returned object, so never give them
+    // the cached object itself.
+    return clone(this._cache);
+  }
+
+  /**
+   * Asynchronously writes the settings to the disk.
+   *
+   * @see Settings#_writeSettings
+   * @param {Object} [obj={}]
+   * @param {Object} [opts={}]
+   * @param {string} [keyPath=null]
+   * @returns {Promise}
+   * @private
+   */
+  async _writeSettingsAsync(obj = {}, opts = {}, keyPath = null) {
+    if (!this._cache) {
+      await this._readSettingsAsync();
+    }
+
+    obj = this._sealSecrets(obj);
+
+    this._writtenKeyPaths.push(keyPath);
+
+    if (this._opts.writeMode !== Settings.WriteModes.IMMEDIATE) {
+      this._deferWriteSettings(obj, opts);
+
+      return;
+    }
+
+    const backend = this._getBackend();
+    const serializer = this._getBackendSerializer(opts);
+
+    // Cache the settings before they are written, so that changes made by
+    // the synchronous methods in the meantime are made to them.
+    this._cache = JSON.parse(JSON.stringify(obj));
+    this._writeCount += 1;
+
+    const writeCount = this._writeCount;
+
+    this._pendingAsyncWrites += 1;
+
+    try {
+      await this._lockSettingsAsync(async () => {
+        if (typeof backend.writeAsync === 'function') {
+          await backend.writeAsync(obj, serializer);
+        } else {
+          backend.write(obj, serializer);
+        }
+      });
+    } catch (err) {
+      // Read the stored settings again, since these were not written.
+      if (this._writeCount === writeCount) {
+        this._cache = null;
+      }
+
+      throw err;
+    } finally {
+      this._pendingAsyncWrites -= 1;
+    }
+
+    if (this._cache && this._writeCount !== writeCount) {
+      // The settings were changed while they were written, and this write
+      // may have overwritten those changes, so write them again.
+      this._storeSettings(this._cache, opts);
+    } else {
+      this._emitChangeEvent(Settings.ChangeSources.INTERNAL);
+    }
+  }
+
+  /**
+   * Asynchronously returns the settings object.
+   *
+   * @see Settings#_readSettings
+   * @returns {Promise.<Object>}
+   * @private
+   */
+  async _readSettingsAsync() {
+    if (!this._cache) {
+      const backend = this._getBackend();
+      const serializer = this._getBackendSerializer();
+      const writeCount = this._writeCount;
+      let obj;
+
+      try {
+        obj = typeof backend.readAsync === 'function'
+          ? await backend.readAsync(serializer)
+          : backend.read(serializer);
+      } catch (err) {
+        if (!(err instanceof SyntaxError)) throw err;
+
+        // The settings are corrupt. This should be rare, so recover
+        // synchronously rather than duplicating the recovery logic.
+        obj = this._recoverSettings(err);
+      }
+
+      // The synchronous methods may have written the settings while they
+      // were read, so what was read may be outdated.
+      if (this._writeCount !== writeCount) {
+        return this._readSettings();
+      }
+
+      // Creating the settings is rare, so do it synchronously, so that
+      // settings written in the meantime cannot be overwritten.
+      if (!obj) {
+        obj = {};
+        backend.write(obj, serializer);
+      }
+
+      this._cache = obj;
+      this._watchSettings();
+
+      if (!this._snapshot) {
+        this._snapshot = this._readSettingsWithDefaults();
+      }
+    }
+
+    return clone(this._cache);
+  }
+
+  /**
+   * Queues the given function to be called once all previously queued
+   * functions have settled. Asynchronous operations are queued so that they
+   * are applied in order and cannot clobber each other's writes.
+   *
+   * @param {Function} fn - A function that returns a promise.
+   * @returns {Promise}
+   * @private
+   */
+  _enqueue(fn) {
+    const promise = this._queue.then(() => fn());
+
+    // Keep the queue going even if this operation fails.
+    this._queue = promise.catch(() => {});
+
+    return promise;
+  }
+
+  /**
+   * Called when the settings have been changed outside of the backend.
+   *
+   * @private
+   */
+  _onBackendChange() {
+    // The settings that are being written asynchronously will overwrite the
+    // stored settings, and their changes are emitted once they have been
+    // written, so they must not be reported as external changes now.
+    if (this._pendingAsyncWrites > 0) return;
+
+    // Pending settings will overwrite the stored settings when they are
+    // flushed, so keep them rather than reading the settings again.
+    if (!this._pendingWriteOpts) {
+      this._cache = null;
+    }
+
+    // Nobody is listening, so there is no need to read the changed settings
+    // yet. Forget the snapshot instead, so that these changes are not
+    // reported as internal changes later.
+    if (this.listenerCount(Settings.Events.CHANGE) === 0) {
+      this._snapshot = null;
+
+      return;
+    }
+
+    try {
+      this._emitChangeEvent(Settings.ChangeSources.EXTERNAL);
+    } catch (err) {
+      this._emitError(err);
+    }
+  }
+
+  /**
+   * Broadcasts the internal "change" event with the changes since the last
+   * change event, if there are any. Secrets are redacted. Internal changes
+   * are also given the key paths that they were written at, if all of them
+   * are known.
+   *
+   * @param {string} source - One of `Settings.ChangeSources`.
+   * @emits ElectronSettings:change
+   * @private
+   */
+  _emitChangeEvent(source) {
+    const oldSnapshot = this._snapshot;
+    const newSnapshot = this._readSettingsWithDefaults();
+    const writtenKeyPaths = this._writtenKeyPaths;
+
+    this._snapshot = newSnapshot;
+    this._writtenKeyPaths = [];
+
+    // There is nothing to compare with if the settings have not been read
+    // since they were last forgotten.
+    if (!oldSnapshot) return;
+
+    const isSecret = value => this._isSecret(value);
+    const changes = Helpers.diff(oldSnapshot, newSnapshot, '', isSecret).map(change => ({
+      keyPath: change.keyPath,
+      oldValue: this._revealSecrets(clone(change.oldValue), false),
+      newValue: this._revealSecrets(clone(change.newValue), false),
+      source
+    }));
+
+    const isKnown = source === Settings.ChangeSources.INTERNAL
+      && writtenKeyPaths.length > 0
+      && writtenKeyPaths.every(keyPath => keyPath !== null);
+
+    if (changes.length > 0) {
+      this.emit(Settings.Events.CHANGE, changes, isKnown ? writtenKeyPaths : null);
+    }
+  }
+
+  /**
+   * Returns the schema violations in the given settings object, or an empty
+   * array if there is no schema.
+   *
+   * @param {Object} obj
+   * @returns {Object[]}
+   * @private
+   */
+  _getSchemaErrors(obj) {
+    const { schema } = this._opts;
+
+    if (!schema) return [];
+
+    const publicObj = this._revealSecrets(clone(this._omitInternalSettings(obj)), true);
+
+    return Schema.validate(schema, publicObj);
+  }
+
+  /**
+   * Validates the given settings object against the schema, if there is
+   * one, before it is written. If the change is partial, violations that
+   * are already present in the current settings are ignored so that an
+   * existing problem elsewhere does not prevent unrelated changes.
+   *
+   * @param {Object} obj
+   * @param {boolean} [partial=false]
+   * @throws {SettingsValidationError}
+   * @private
+   */
+  _validateSettings(obj, partial = false) {
+    let errors = this._getSchemaErrors(obj);
+
+    if (errors.length > 0 && partial) {
+      const toString = err => `${err.keyPath}: ${err.message}`;
+      const existingErrors = this._getSchemaErrors(this._cache).map(toString);
+
+      errors = errors.filter(err => existingErrors.indexOf(toString(err)) === -1);
+    }
+
+    if (errors.length > 0) {
+      throw new SettingsValidationError(errors);
+    }
+  }
+
+  /**
+   * Returns a copy of the given settings object that includes the internal
+   * settings of the current settings object, if the given settings object
+   * does not have any of its own. Used when the entire settings object is
+   * replaced so that internal settings are not lost.
+   *
+   * @param {Object} obj
+   * @param {Object} currentObj
+   * @returns {Object}
+   * @private
+   */
+  _preserveInternalSettings(obj, currentObj) {
+    const hasInternalSettings = o => Object.prototype.hasOwnProperty.call(o, internalKey);
+
+    if (hasInternalSettings(currentObj) && !hasInternalSettings(obj)) {
+      return Object.assign({}, obj, { [internalKey]: currentObj[internalKey] });
+    }
+
+    return obj;
+  }
+
+  /**
+   * Returns a copy of the given settings object without internal settings.
+   *
+   * @param {Object} obj
+   * @returns {Object}
+   * @private
+   */
+  _omitInternalSettings(obj) {
+    const publicObj = Object.assign({}, obj);
+
+    delete publicObj[internalKey];
+
+    return publicObj;
+  }
+
+  /**
+   * Returns the defaults. The defaults of the backend, if it has any, are
+   * merged under them.
+   *
+   * @returns {Object}
+   * @private
+   */
+  _getDefaults() {
+    const backend = this._getBackend();
+
+    if (typeof backend.defaults !== 'function') return clone(this._defaults);
+
+    return Helpers.deepMerge(clone(backend.defaults()), clone(this._defaults));
+  }
+
+  /**
+   * Returns the parsed contents of the settings file, deeply merged over
+   * the defaults, without internal settings.
+   *
+   * @returns {Object}
+   * @private
+   */
+  _readSettingsWithDefaults() {
+    // Read the settings first, since the defaults of the backend are read
+    // with them.
+    const obj = this._readSettings();
+
+    return this._omitInternalSettings(Helpers.deepMerge(this._getDefaults(), obj));
+  }
+
+  /**
+   * Asynchronously returns the parsed contents of the settings file, deeply
+   * merged over the defaults.
+   *
+   * @returns {Promise.<Object>}
+   * @private
+   */
+  async _readSettingsWithDefaultsAsync() {
+    const obj = await this._readSettingsAsync();
+
+    return this._omitInternalSettings(Helpers.deepMerge(this._getDefaults(), obj));
+  }
+
+  /**
+   * Returns a boolean indicating whether the settings object contains
+   * the given key path. If `includeDefaults` is true, key paths that only
+   * exist in the defaults are also included.
+   *
+   * @param {string} keyPath
+   * @param {boolean} includeDefaults
+   * @returns {boolean}
+   * @private
+   */
+  _checkKeyPathExists(keyPath, includeDefaults) {
+    const obj = includeDefaults ? this._readSettingsWithDefaults() : this._readSettings();
+    const exists = Helpers.hasKeyPath(obj, keyPath);
+
+    return exists;
+  }
+
+  /**
+   * Sets the value at the given key path, or the entire settings object if
+   * an empty key path is given.
+   *
+   * @param {string} keyPath
+   * @param {any} value
+   * @param {Object} opts
+   * @private
+   */
+  _setValueAtKeyPath(keyPath, value, opts) {
+    this._mutateSettings(() => {
+      let obj;
+      let oldValue;
+
+      if (keyPath === '') {
+        oldValue = this._readSettings();
+        obj = this._preserveInternalSettings(value, oldValue);
+      } else {
+        obj = this._readSettings();
+        oldValue = Helpers.getValueAtKeyPath(obj, keyPath);
+
+        Helpers.setValueAtKeyPath(obj, keyPath, value, opts.overwrite === true);
+      }
+
+      this._validateSettings(obj, keyPath !== '');
+      this._writeSettings(obj, opts, keyPath);
+      this._recordHistory(keyPath, oldValue);
+    });
+  }
+
+  /**
+   * Returns the value at the given key path, or sets the value at that key
+   * path to the default value, if provided, if the key does not exist. If an
+   * empty key path is given, the entire settings object will be returned.
+   *
+   * @param {string} keyPath
+   * @param {any} defaultValue
+   * @param {Object} opts
+   * @returns {any}
+   * @private
+   */
+  _getValueAtKeyPath(keyPath, defaultValue, opts = {}) {
+    const obj = opts.defaults === false
+      ? this._omitInternalSettings(this._readSettings())
+      : this._readSettingsWithDefaults();
+
+    if (keyPath !== '') {
+      const exists = Helpers.hasKeyPath(obj, keyPath);
+      const value = Helpers.getValueAtKeyPath(obj, keyPath);
+
+      // The key does not exist but a default value does. Set the value at the
+      // key path to the default value and then get the new value.
+      if (!exists && typeof defaultValue !== 'undefined') {
+        this._setValueAtKeyPath(keyPath, defaultValue, opts);
+
+        // Get the new value now that the default has been set.
+        return this._getValueAtKeyPath(keyPath);
+      }
+
+      // Secrets are only revealed when they are asked for by key path.
+      return this._revealSecrets(value, true);
+    }
+
+    return this._revealSecrets(obj, opts.secrets === true);
+  }
+
+  /**
+   * Deletes the key and value at the given key path, or clears the entire
+   * settings object if an empty key path is given.
+   *
+   * @param {string} keyPath
+   * @param {Object} opts
+   * @private
+   */
+  _deleteValueAtKeyPath(keyPath, opts) {
+    this._mutateSettings(() => {
+      if (keyPath === '') {
+        const oldObj = this._readSettings();
+
+        this._writeSettings(this._preserveInternalSettings({}, oldObj), opts, keyPath);
+        this._recordHistory(keyPath, oldObj);
+      } else {
+        const obj = this._readSettings();
+        const exists = Helpers.hasKeyPath(obj, keyPath);
+
+        if (exists) {
+          const oldValue = Helpers.getValueAtKeyPath(obj, keyPath);
+
+          Helpers.deleteValueAtKeyPath(obj, keyPath);
+          this._writeSettings(obj, opts, keyPath);
+          this._recordHistory(keyPath, oldValue);
+        }
+      }
+    });
+  }
+
+  /**
+   * Deeply merges the given partial object into the stored value at the
+   * given key path, or into the entire settings object if an empty key path
+   * is given. If the stored value is not a plain object, it is replaced.
+   * Secrets are replaced as a whole rather than merged into.
+   *
+   * @param {string} keyPath
+   * @param {Object} partial
+   * @param {Object} opts
+   * @private
+   */
+  _mergeValueAtKeyPath(keyPath, partial, opts) {
+    // Read the stored value and write the merged value under the same lock,
+    // so that changes made by other processes in between are kept.
+    this._mutateSettings(() => {
+      const obj = this._readSettings();
+      const value = keyPath === ''
+        ? this._omitInternalSettings(obj)
+        : Helpers.getValueAtKeyPath(obj, keyPath);
+      const isSecret = v => this._isSecret(v);
+      const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+      const newValue = isObject && !isSecret(value)
+        ? Helpers.deepMerge(value, clone(partial), opts.arrays, isSecret)
+        : clone(partial);
+
+      this._setValueAtKeyPath(keyPath, newValue, opts);
+    });
+  }
+
+  /**
+   * Watches the given key path or key path pattern for changes and calls
+   * the given handler if the value at the key path, or at any key path
+   * matching the pattern, changes. To unsubscribe from changes, call
+   * `dispose()` on the Observer instance that is returned.
+   *
+   * @param {string} keyPath
+   * @param {Function} handler
+   * @param {Object} opts
+   * @returns {Observer}
+   * @private
+   */
+  _watchValueAtKeyPath(keyPath, handler, opts) {
+    // Key paths matching a pattern are all within the part before the first
+    // wildcard, so observe the value there.
+    const currentValue = this._getValueAtKeyPath(Helpers.getKeyPathPatternBase(keyPath));
+
+    return new Observer(this, keyPath, handler, currentValue, opts);
+  }
+
+  /**
+   * Calls the given function with a transaction that changes a snapshot of
+   * the settings object, then writes the snapshot once the function returns.
+   * If the function throws, nothing is written and the error is rethrown.
+   * The transaction reads the snapshot as `get()` does, so with defaults and
+   * with secrets revealed, and secrets are encrypted again when the
+   * snapshot is written.
+   *
+   * @param {Function} fn
+   * @param {Object} opts
+   * @private
+   */
+  _runTransaction(fn, opts) {
+    this._mutateSettings(() => {
+      const transaction = new Transaction(this._readSettings(), {
+        defaults: this._getDefaults(),
+        revealSecrets: value => this._revealSecrets(value, true)
+      });
+
+      try {
+        fn.call(this, transaction);
+      } finally {
+        transaction._end();
+      }
+
+      if (transaction._changed) {
+        const oldObj = this._readSettings();
+        const newObj = this._resealSecrets(transaction._obj, oldObj);
+        const obj = this._preserveInternalSettings(newObj, oldObj);
+
+        this._validateSettings(obj, true);
+        this._writeSettings(obj, opts);
+        this._recordHistory('', oldObj);
+      }
+    });
+  }
+
+  /**
+   * Calls the given function with a transaction that changes only the value
+   * at the given key path, then writes that value once the function
+   * returns. The value is read as `get()` returns it, so with defaults and
+   * with secrets revealed, and the secrets within it are encrypted again
+   * when it is written.
+   *
+   * @param {string} keyPath
+   * @param {Function} fn
+   * @param {Object} opts
+   * @private
+   */
+  _runTransactionAtKeyPath(keyPath, fn, opts) {
+    this._mutateSettings(() => {
+      const obj = this._readSettingsWithDefaults();
+      const snapshot = {};
+      let value;
+
+      if (Helpers.hasKeyPath(obj, keyPath)) {
+        value = Helpers.getValueAtKeyPath(obj, keyPath);
+
+        Helpers.setValueAtKeyPath(snapshot, keyPath, this._revealSecrets(clone(value), true));
+      }
+
+      const transaction = new Transaction(snapshot);
+
+      try {
+        fn.call(this, transaction);
+      } finally {
+        transaction._end();
+      }
+
+      if (!transaction._changed) return;
+
+      if (Helpers.hasKeyPath(transaction._obj, keyPath)) {
+        const newValue = Helpers.getValueAtKeyPath(transaction._obj, keyPath);
+
+        this._setValueAtKeyPath(keyPath, this._resealSecrets(newValue, value), opts);
+      } else {
+        this._deleteValueAtKeyPath(keyPath, opts);
+      }
+    });
+  }
+
+  /**
+   * Returns the given new value with the values within it that were
+   * secrets in the given old value encrypted as secrets again. Secrets
+   * whose values have not changed are kept as they are.
+   *
+   * @param {any} newValue
+   * @param {any} oldValue
+   * @returns {any}
+   * @private
+   */
+  _resealSecrets(newValue, oldValue) {
+    if (this._isSecret(oldValue)) {
+      if (this._isSecret(newValue)) return newValue;
+
+      return util.isDeepStrictEqual(newValue, this._decryptSecret(oldValue))
+        ? oldValue
+        : this._encryptSecret(newValue);
+    }
+
+    const isObject = value => value !== null && typeof value === 'object';
+
+    if (isObject(oldValue) && isObject(newValue)) {
+      Object.keys(oldValue).forEach(key => {
+        if (Object.prototype.hasOwnProperty.call(newValue, key)) {
+          newValue[key] = this._resealSecrets(newValue[key], oldValue[key]);
+        }
+      });
+    }
+
+    return newValue;
+  }
+
+  /**
+   * Records the change that was just written at the given key path in the
+   * history, if the `history` option is enabled. The new value is read
+   * back from the stored settings, so that secrets are recorded sealed.
+   * An empty key path records a change of the entire settings object.
+   *
+   * @param {string} keyPath
+   * @param {any} oldValue - The stored value before the change.
+   * @private
+   */
+  _recordHistory(keyPath, oldValue) {
+    if (!this._opts.history || this._isApplyingHistory) return;
+
+    const obj = this._readSettings();
+    const entry = {
+      keyPath,
+      oldValue: keyPath === '' ? this._omitInternalSettings(oldValue) : clone(oldValue),
+      newValue: keyPath === '' ? this._omitInternalSettings(obj) : Helpers.getValueAtKeyPath(obj, keyPath),
+      timestamp: Date.now()
+    };
+
+    if (util.isDeepStrictEqual(entry.oldValue, entry.newValue)) return;
+
+    // Changes that were undone can no longer be redone once a new change
+    // is made.
+    this._history.splice(this._historyIndex, this._history.length, entry);
+    this._history.splice(0, Math.max(this._history.length - this._opts.historyLimit, 0));
+    this._historyIndex = this._history.length;
+  }
+
+  /**
+   * Sets the value at the given key path to the given value from the
+   * history without recording the change, or deletes it if the value is
+   * undefined.
+   *
+   * @param {string} keyPath
+   * @param {any} value
+   * @param {Object} opts
+   * @private
+   */
+  _applyHistoryValue(keyPath, value, opts) {
+    this._isApplyingHistory = true;
+
+    try {
+      if (typeof value === 'undefined') {
+        this._deleteValueAtKeyPath(keyPath, opts);
+      } else {
+        this._setValueAtKeyPath(keyPath, clone(value), opts);
+      }
+    } finally {
+      this._isApplyingHistory = false;
+    }
+  }
+
+  /**
+   * Rewrites the settings file, and its backup if there is one, encrypted
+   * with the given encryption key or cipher.
+   *
+   * @param {string|Buffer|Object} key
+   * @param {Object} opts
+   * @private
+   */
+  _rekeySettings(key, opts) {
+    this._flushSettings();
+
+    const obj = this._readSettings();
+
+    if (key !== null && typeof key === 'object' && !Buffer.isBuffer(key)) {
+      Object.assign(this._opts, { encryptionKey: null, cipher: key });
+    } else {
+      Object.assign(this._opts, { encryptionKey: key, cipher: null });
+    }
+
+    // The backup would otherwise only be readable with the previous key.
+    this._storeSettings(obj, opts, true);
+  }
+
+  /**
+   * Runs the given migrations that are pending for the given version in
+   * order, in a single transaction, then records the given version as the
+   * last migrated version if it is newer. If any migration throws, none of
+   * the changes are written and the error is rethrown.
+   *
+   * @param {Object} migrations
+   * @param {string} version
+   * @param {Object} opts
+   * @private
+   */
+  _runMigrations(migrations, version, opts) {
+    const versionKeyPath = `${internalKey}.migratedVersion`;
+
+    this._runTransaction(transaction => {
+      const lastVersion = transaction.get(versionKeyPath);
+      const pendingVersions = Migrations.getPendingVersions(migrations, lastVersion, version);
+
+      pendingVersions.forEach(pendingVersion => {
+        migrations[pendingVersion].call(this, transaction);
+      });
+
+      // Keep the last migrated version when an older version of the app
+      // runs, so that migrations are not run again after upgrading.
+      if (!lastVersion || Migrations.compareVersions(version, lastVersion) > 0) {
+        transaction.set(versionKeyPath, version);
+      }
+    }, opts);
+  }
+
+  /**
+   * Asynchronously returns a boolean indicating whether the settings object
+   * contains the given key path. If `includeDefaults` is true, key paths
+   * that only exist in the defaults are also included.
+   *
+   * @param {string} keyPath
+   * @param {boolean} includeDefaults
+   * @returns {Promise.<boolean>}
+   * @private
+   */
+  async _checkKeyPathExistsAsync(keyPath, includeDefaults) {
+    const obj = await this._enqueue(() => (
+      includeDefaults ? this._readSettingsWithDefaultsAsync() : this._readSettingsAsync()
+    ));
+    const exists = Helpers.hasKeyPath(obj, keyPath);
+
+    return exists;
+  }
+
+  /**
+   * Asynchronously sets the value at the given key path, or the entire
+   * settings object if an empty key path is given.
+   *
+   * @param {string} keyPath
+   * @param {any} value
+   * @param {Object} opts
+   * @returns {Promise}
+   * @private
+   */
+  _setValueAtKeyPathAsync(keyPath, value, opts) {
+    return this._enqueue(() => this._setValueAtKeyPathUnqueuedAsync(keyPath, value, opts));
+  }
+
+  /**
+   * Asynchronously sets the value at the given key path without queueing
+   * it. Only call this from a function that has already been queued.
+   *
+   * @see Settings#_setValueAtKeyPathAsync
+   * @param {string} keyPath
+   * @param {any} value
+   * @param {Object} opts
+   * @returns {Promise}
+   * @private
+   */
+  _setValueAtKeyPathUnqueuedAsync(keyPath, value, opts) {
+    return this._mutateSettingsAsync(async () => {
+      let obj;
+      let oldValue;
+
+      // Only wait for the settings to be read, then change them without
+      // waiting again until they are written, so that changes made by the
+      // synchronous methods in the meantime are kept.
+      await this._readSettingsAsync();
+
+      if (keyPath === '') {
+        oldValue = this._readSettings();
+        obj = this._preserveInternalSettings(value, oldValue);
+      } else {
+        obj = this._readSettings();
+        oldValue = Helpers.getValueAtKeyPath(obj, keyPath);
+
+        Helpers.setValueAtKeyPath(obj, keyPath, value, opts.overwrite === true);
+      }
+
+      this._validateSettings(obj, keyPath !== '');
+      await this._writeSettingsAsync(obj, opts, keyPath);
+      this._recordHistory(keyPath, oldValue);
+    });
+  }
+
+  /**
+   * Asynchronously returns the value at the given key path, or sets the
+   * value at that key path to the default value, if provided, if the key
+   * does not exist. If an empty key path is given, the entire settings
+   * object will be returned.
+   *
+   * @param {string} keyPath
+   * @param {any} defaultValue
+   * @param {Object} opts
+   * @returns {Promise.<any>}
+   * @private
+   */
+  _getValueAtKeyPathAsync(keyPath, defaultValue, opts = {}) {
+    return this._enqueue(async () => {
+      const obj = opts.defaults === false
+        ? this._omitInternalSettings(await this._readSettingsAsync())
+        : await this._readSettingsWithDefaultsAsync();
+
+      if (keyPath !== '') {
+        const exists = Helpers.hasKeyPath(obj, keyPath);
+
+        // The key does not exist but a default value does. Set the value at
+        // the key path to the default value and then get the new value.
+        if (!exists && typeof defaultValue !== 'undefined') {
+          await this._setValueAtKeyPathUnqueuedAsync(keyPath, defaultValue, opts);
+
+          // Get the new value now that the default has been set.
+          const newObj = await this._readSettingsWithDefaultsAsync();
+
+          return this._revealSecrets(Helpers.getValueAtKeyPath(newObj, keyPath), true);
+        }
+
+        return this._revealSecrets(Helpers.getValueAtKeyPath(obj, keyPath), true);
+      }
+
+      return this._revealSecrets(obj, opts.secrets === true);
+    });
+  }
+
+  /**
+   * Asynchronously deletes the key and value at the given key path, or
+   * clears the entire settings object if an empty key path is given.
+   *
+   * @param {string} keyPath
+   * @param {Object} opts
+   * @returns {Promise}
+   * @private
+   */
+  _deleteValueAtKeyPathAsync(keyPath, opts) {
+    return this._enqueue(() => this._mutateSettingsAsync(async () => {
+      // See Settings#_setValueAtKeyPathAsync.
+      await this._readSettingsAsync();
+
+      if (keyPath === '') {
+        const oldObj = this._readSettings();
+
+        await this._writeSettingsAsync(this._preserveInternalSettings({}, oldObj), opts, keyPath);
+        this._recordHistory(keyPath, oldObj);
+      } else {
+        const obj = this._readSettings();
+        const exists = Helpers.hasKeyPath(obj, keyPath);
+
+        if (exists) {
+          const oldValue = Helpers.getValueAtKeyPath(obj, keyPath);
+
+          Helpers.deleteValueAtKeyPath(obj, keyPath);
+          await this._writeSettingsAsync(obj, opts, keyPath);
+          this._recordHistory(keyPath, oldValue);
+        }
+      }
+    }));
+  }
+
+  /**
+   * Returns a boolean indicating whether the settings object contains
+   * the given key path. Set `opts.defaults` to false to ignore the defaults
+   * and only check settings that have been set.
+   *
+   * @param {string|Array} keyPath
+   * @param {Object} [opts={}]
+   * @param {boolean} [opts.defaults=true]
+   * @returns {boolean}
+   * @public
+   */
+  has(keyPath, opts = {}) {
+    assert.ok(Helpers.isKeyPath(keyPath), 'First parameter must be a string or an array');
+    assert.strictEqual(typeof opts, 'object', 'Second parameter must be an object');
+
+    return this._checkKeyPathExists(Helpers.normalizeKeyPath(keyPath), opts.defaults !== false);
+  }
+
+  /**
+   * Sets the value at the given key path. Set `opts.overwrite` to replace
+   * values in the way of the key path, such as a string that the key path
+   * would be set within, rather than throwing a SettingsKeyPathError.
+   *
+   * @param {string|Array} keyPath
+   * @param {any} value
+   * @param {Object} [opts={}]
+   * @param {boolean} [opts.overwrite=false]
+   * @param {boolean} [opts.prettify=false]
+   * @returns {Settings}
+   * @public
+   */
+  set(keyPath, value, opts = {}) {
+    assert.ok(Helpers.isKeyPath(keyPath), 'First parameter must be a string or an array. Did you mean to use `setAll()` instead?');
+    assert.strictEqual(typeof opts, 'object', 'Second parameter must be an object');
+
+    this._setValueAtKeyPath(Helpers.normalizeKeyPath(keyPath), value, opts);
+
+    return this;
+  }
+
+  /**
+   * Sets the value at the given key path as a secret. Secrets are encrypted
+   * with the `secretKey` option inside the otherwise readable settings file
+   * and are decrypted when they are read with `get()`.
+   *
+   * @param {string|Array} keyPath
+   * @param {any} value
+   * @param {Object} [opts={}]
+   * @param {boolean} [opts.prettify=false]
+   * @returns {Settings}
+   * @public
+   */
+  setSecret(keyPath, value, opts = {}) {
+    assert.ok(Helpers.isKeyPath(keyPath), 'First parameter must be a string or an array');
+    assert.strictEqual(typeof opts, 'object', 'Second parameter must be an object');
+
+    this._setValueAtKeyPath(Helpers.normalizeKeyPath(keyPath), this._encryptSecret(value), opts);
+
+    return this;
+  }
+
+  /**
+   * Sets all settings.
+   *
+   * @param {Object} obj
+   * @param {Object} [opts={}]
+   * @param {boolean} [opts.prettify=false]
+   * @returns {Settings}
+   * @public
+   */
+  setAll(obj, opts = {}) {
+    assert.strictEqual(typeof obj, 'object', 'First parameter must be an object');
+    assert.strictEqual(typeof opts, 'object', 'Second parameter must be an object');
+
+    this._setValueAtKeyPath('', obj, opts);
+
+    return this;
+  }
+
+  /**
+   * Deeply merges the given partial object into the value at the given key
+   * path, so that only the keys in the partial object are changed and their
+   * siblings are kept. Plain objects are merged recursively, and arrays are
+   * merged as given by `opts.arrays`, one of `Settings.ArrayMergeStrategies`.
+   * If the value is not a plain object, it is replaced. Pass an empty key
+   * path to merge into the entire settings object.
+   *
+   * @param {string|Array} keyPath
+   * @param {Object} partial
+   * @param {Object} [opts={}]
+   * @param {string} [opts.arrays=Settings.ArrayMergeStrategies.REPLACE]
+   * @param {boolean} [opts.prettify=false]
+   * @returns {Settings}
+   * @public
+   */
+  merge(keyPath, partial, opts = {}) {
+    assert.ok(Helpers.isKeyPath(keyPath), 'First parameter must be a string or an array');
+    assert.ok(partial !== null && typeof partial === 'object' && !Array.isArray(partial), 'Second parameter must be an object');
+    assert.strictEqual(typeof opts, 'object', 'Third parameter must be an object');
+
+    if (typeof opts.arrays !== 'undefined') {
+      const strategies = Object.keys(Settings.ArrayMergeStrategies)
+        .map(key => Settings.ArrayMergeStrategies[key]);
+
+      assert.ok(strategies.includes(opts.arrays), `\`arrays\` must be one of ${strategies.join(', ')}`);
+    }
+
+    this._mergeValueAtKeyPath(Helpers.normalizeKeyPath(keyPath), partial, opts);
+
+    return this;
+  }
+
+  /**
+   * Returns the value at the given key path, or sets the value at that key
+   * path to the default value, if provided, if the key does not exist.
+   *
+   * @param {string|Array} keyPath
+   * @param {any} [defaultValue]
+   * @param {Object} [opts={}]
+   * @returns {any}
+   * @public
+   */
+  get(keyPath, defaultValue, opts = {}) {
+    assert.ok(Helpers.isKeyPath(keyPath), 'First parameter must be a string or an array. Did you mean to use `getAll()` instead?');
+
+    return this._getValueAtKeyPath(Helpers.normalizeKeyPath(keyPath), defaultValue, opts);
+  }
+
+  /**
+   * Returns all settings. Secrets are redacted unless `opts.secrets` is
+   * true. Set `opts.defaults` to false to only return the settings that
+   * have been set.
+   *
+   * @param {Object} [opts={}]
+   * @param {boolean} [opts.secrets=false]
+   * @param {boolean} [opts.defaults=true]
+   * @returns {Object}
+   * @public
+   */
+  getAll(opts = {}) {
+    assert.strictEqual(typeof opts, 'object', 'First parameter must be an object');
+
+    return this._getValueAtKeyPath('', undefined, opts);
+  }
+
+  /**
+   * Deletes the key and value at the given key path.
+   *
+   * @param {string|Array} keyPath
+   * @param {Object} [opts={}]
+   * @param {boolean} [opts.prettify=false]
+   * @returns {Settings}
+   * @public
+   */
+  delete(keyPath, opts = {}) {
+    assert.ok(Helpers.isKeyPath(keyPath), 'First parameter must be a string or an array. Did you mean to use `deleteAll()` instead?');
+    assert.strictEqual(typeof opts, 'object', 'Second parameter must be an object');
+
+    this._deleteValueAtKeyPath(Helpers.normalizeKeyPath(keyPath), opts);
+
+    return this;
+  }
+
+  /**
+   * Deletes all settings.
+   *
+   * @param {Object} [opts={}]
+   * @param {boolean} [opts.prettify=false]
+   * @returns {Settings}
+   * @public
+   */
+  deleteAll(opts = {}) {
+    assert.strictEqual(typeof opts, 'object', 'First parameter must be an object');
+
+    this._deleteValueAtKeyPath('', opts);
+
+    return this;
+  }
+
+  /**
+   * Sets the defaults. Defaults are deeply merged under the settings
+   * whenever they are read, but are never written to the disk.
+   *
+   * @param {Object} obj
+   * @returns {Settings}
+   * @public
+   */
+  setDefaults(obj) {
+    assert.strictEqual(typeof obj, 'object', 'First parameter must be an object');
+
+    // Take a snapshot with the previous defaults, so that the changes made
+    // by the new defaults can be reported.
+    if (!this._snapshot) {
+      this._snapshot = this._readSettingsWithDefaults();
+    }
+
+    this._defaults = clone(obj);
+
+    // The defaults may have changed the value at observed key paths.
+    this._emitChangeEvent(Settings.ChangeSources.INTERNAL);
+
+    return this;
+  }
+
+  /**
+   * Returns the defaults.
+   *
+   * @returns {Object}
+   * @public
+   */
+  getDefaults() {
+    return this._getDefaults();
+  }
+
+  /**
+   * Resets the value at the given key path to its default by deleting the
+   * value that has been set.
+   *
+   * @param {string|Array} keyPath
+   * @param {Object} [opts={}]
+   * @param {boolean} [opts.prettify=false]
+   * @returns {Settings}
+   * @public
+   */
+  reset(keyPath, opts = {}) {
+    assert.ok(Helpers.isKeyPath(keyPath), 'First parameter must be a string or an array');
+    assert.strictEqual(typeof opts, 'object', 'Second parameter must be an object');
+
+    this._deleteValueAtKeyPath(Helpers.normalizeKeyPath(keyPath), opts);
+
+    return this;
+  }
+
+  /**
+   * Calls the given function with a transaction, which has the same methods
+   * as the settings instance, and writes all changes made through it at
+   * once. If the function throws, none of the changes are written.
+   *
+   * @param {Function} fn
+   * @param {Object} [opts={}]
+   * @param {boolean} [opts.prettify=false]
+   * @returns {Settings}
+   * @public
+   */
+  transaction(fn, opts = {}) {
+    assert.strictEqual(typeof fn, 'function', 'First parameter must be a function');
+    assert.strictEqual(typeof opts, 'object', 'Second parameter must be an object');
+
+    this._runTransaction(fn, opts);
+
+    return this;
+  }
+
+  /**
+   * Appends the given items to the array at the given key path, creating
+   * the array if the key path does not exist. The array is read as `get()`
+   * returns it, so with defaults, and it is read and written at once, so
+   * items pushed by other processes are not lost.
+   *
+   * @param {string|Array} keyPath
+   * @param {...any} items
+   * @returns {Settings}
+   * @public
+   */
+  push(keyPath, ...items) {
+    assert.ok(Helpers.isKeyPath(keyPath), 'First parameter must be a string or an array');
+
+    return this.pushWith(keyPath, items);
+  }
+
+  /**
+   * Appends the items in the given array to the array at the given key
+   * path, like `push()`. If `opts.maxLength` is given, the oldest items are
+   * removed from the start of the array so that it is no longer than that,
+   * which is useful for most-recently-used lists.
+   *
+   * @param {string|Array} keyPath
+   * @param {Array} items
+   * @param {Object} [opts={}]
+   * @param {number} [opts.maxLength]
+   * @param {boolean} [opts.prettify=false]
+   * @returns {Settings}
+   * @public
+   */
+  pushWith(keyPath, items, opts = {}) {
+    assert.ok(Helpers.isKeyPath(keyPath), 'First parameter must be a string or an array');
+    assert.ok(Array.isArray(items), 'Second parameter must be an array');
+    assert.strictEqual(typeof opts, 'object', 'Third parameter must be an object');
+
+    const normalizedKeyPath = Helpers.normalizeKeyPath(keyPath);
+
+    this._runTransactionAtKeyPath(normalizedKeyPath, transaction => {
+      transaction.pushWith(normalizedKeyPath, items, opts);
+    }, opts);
 
-      jsonfile.writeFileSync(this._getSettingsFilePath(), obj, { spaces });
-    } catch (err) {
-      // Could not write the file. The user may not have permission to
-      // access the file or directory. Throw error.
-      throw err;
-    }
+    return this;
   }
 
   /**
-   * Returns the parsed contents of the settings file.
+   * Removes the items for which the given predicate returns true from the
+   * array at the given key path. The predicate is called with each item and
+   * its index.
    *
-   * @returns {Object}
-   * @private
+   * @param {string|Array} keyPath
+   * @param {Function} predicate
+   * @param {Object} [opts={}]
+   * @param {boolean} [opts.prettify=false]
+   * @returns {Settings}
+   * @public
    */
-  _readSettings() {
-    this._ensureSettings();
+  pull(keyPath, predicate, opts = {}) {
+    assert.ok(Helpers.isKeyPath(keyPath), 'First parameter must be a string or an array');
+    assert.strictEqual(typeof predicate, 'function', 'Second parameter must be a function');
+    assert.strictEqual(typeof opts, 'object', 'Third parameter must be an object');
 
-    try {
-      return jsonfile.readFileSync(this._getSettingsFilePath());
-    } catch (err) {
-      // Could not read the file. The user may not have permission to
-      // access the file or directory. Throw error.
-      throw err;
-    }
+    const normalizedKeyPath = Helpers.normalizeKeyPath(keyPath);
+
+    this._runTransactionAtKeyPath(normalizedKeyPath, transaction => {
+      transaction.pull(normalizedKeyPath, predicate);
+    }, opts);
+
+    return this;
   }
 
   /**
-   * Called when the settings file has been changed or
-   * renamed (moved/deleted).
+   * Calls the given function with a copy of the value at the given key
+   * path, as `get()` returns it, and sets the value to the value that the
+   * function returns. Secrets within it are encrypted again. If the
+   * function returns undefined, the value is deleted. The value is read
+   * and written at once, so unlike `get()` followed by `set()`, changes made
+   * by other processes in between are not overwritten.
    *
-   * @type {string} eventType
-   * @private
+   * @param {string|Array} keyPath
+   * @param {Function} fn
+   * @param {Object} [opts={}]
+   * @param {boolean} [opts.prettify=false]
+   * @returns {Settings}
+   * @public
    */
-  _onSettingsFileChange(eventType) {
-    switch (eventType) {
-      case Settings.FSWatcherEvents.CHANGE: {
-        this._emitChangeEvent();
-        break;
-      }
-      case Settings.FSWatcherEvents.RENAME: {
-        this._unwatchSettings(true);
-        break;
-      }
-    }
+  update(keyPath, fn, opts = {}) {
+    assert.ok(Helpers.isKeyPath(keyPath), 'First parameter must be a string or an array');
+    assert.strictEqual(typeof fn, 'function', 'Second parameter must be a function');
+    assert.strictEqual(typeof opts, 'object', 'Third parameter must be an object');
+
+    const normalizedKeyPath = Helpers.normalizeKeyPath(keyPath);
+
+    this._runTransactionAtKeyPath(normalizedKeyPath, transaction => {
+      transaction.update(normalizedKeyPath, fn);
+    }, opts);
+
+    return this;
   }
 
   /**
-   * Broadcasts the internal "change" event.
+   * Returns the changes that have been made through this instance and can
+   * be undone, oldest first, if the `history` option is enabled. Each has
+   * the `keyPath` that was changed, or an empty key path if the entire
+   * settings object was changed, its `oldValue` and `newValue`, and the
+   * `timestamp` of the change. Secrets are redacted.
    *
-   * @emits ElectronSettings:change
-   * @private
+   * @returns {Object[]}
+   * @public
    */
-  _emitChangeEvent() {
-    this.emit(Settings.Events.CHANGE);
+  getHistory() {
+    return this._history.slice(0, this._historyIndex).map(entry => ({
+      keyPath: entry.keyPath,
+      oldValue: this._revealSecrets(clone(entry.oldValue), false),
+      newValue: this._revealSecrets(clone(entry.newValue), false),
+      timestamp: entry.timestamp
+    }));
   }
 
   /**
-   * Returns a boolean indicating whether the settings object contains
-   * the given key path.
+   * Undoes the last change made through this instance that has not been
+   * undone yet, if the `history` option is enabled, by setting the value at
+   * its key path back to the value it had before. Returns a boolean
+   * indicating whether there was a change to undo.
    *
-   * @param {string} keyPath
+   * @param {Object} [opts={}]
+   * @param {boolean} [opts.prettify=false]
    * @returns {boolean}
-   * @private
+   * @public
    */
-  _checkKeyPathExists(keyPath) {
-    const obj = this._readSettings();
-    const exists = Helpers.hasKeyPath(obj, keyPath);
+  undo(opts = {}) {
+    assert.strictEqual(typeof opts, 'object', 'First parameter must be an object');
 
-    return exists;
+    if (this._historyIndex === 0) return false;
+
+    const entry = this._history[this._historyIndex - 1];
+
+    this._applyHistoryValue(entry.keyPath, entry.oldValue, opts);
+    this._historyIndex -= 1;
+
+    return true;
   }
 
   /**
-   * Sets the value at the given key path, or the entire settings object if
-   * an empty key path is given.
+   * Redoes the last change that was undone, unless another change has been
+   * made since. Returns a boolean indicating whether there was a change to
+   * redo.
    *
-   * @param {string} keyPath
-   * @param {any} value
-   * @param {Object} opts
-   * @private
+   * @param {Object} [opts={}]
+   * @param {boolean} [opts.prettify=false]
+   * @returns {boolean}
+   * @public
    */
-  _setValueAtKeyPath(keyPath, value, opts) {
-    let obj = value;
+  redo(opts = {}) {
+    assert.strictEqual(typeof opts, 'object', 'First parameter must be an object');
 
-    if (keyPath !== '') {
-      obj = this._readSettings();
+    if (this._historyIndex === this._history.length) return false;
 
-      Helpers.setValueAtKeyPath(obj, keyPath, value);
-    }
+    const entry = this._history[this._historyIndex];
 
-    this._writeSettings(obj, opts);
+    this._applyHistoryValue(entry.keyPath, entry.newValue, opts);
+    this._historyIndex += 1;
+
+    return true;
   }
 
   /**
-   * Returns the value at the given key path, or sets the value at that key
-   * path to the default value, if provided, if the key does not exist. If an
-   * empty key path is given, the entire settings object will be returned.
+   * Remembers the stored settings as they are now under the given name, so
+   * that they can be restored with `revertTo()`, for example when a
+   * preferences dialog is opened. An existing checkpoint with the same name
+   * is replaced.
    *
-   * @param {string} keyPath
-   * @param {any} defaultValue
-   * @param {Object} opts
-   * @returns {any}
-   * @private
+   * @param {string} name
+   * @returns {Settings}
+   * @public
    */
-  _getValueAtKeyPath(keyPath, defaultValue, opts) {
-    const obj = this._readSettings();
+  checkpoint(name) {
+    assert.strictEqual(typeof name, 'string', 'First parameter must be a string');
 
-    if (keyPath !== '') {
-      const exists = Helpers.hasKeyPath(obj, keyPath);
-      const value = Helpers.getValueAtKeyPath(obj, keyPath);
+    this._checkpoints.set(name, this._omitInternalSettings(this._readSettings()));
 
-      // The key does not exist but a default value does. Set the value at the
-      // key path to the default value and then get the new value.
-      if (!exists && typeof defaultValue !== 'undefined') {
-        this._setValueAtKeyPath(keyPath, defaultValue, opts);
+    return this;
+  }
 
-        // Get the new value now that the default has been set.
-        return this._getValueAtKeyPath(keyPath);
-      }
+  /**
+   * Restores the stored settings as they were at the checkpoint with the
+   * given name. The checkpoint is kept, and reverting is recorded as a
+   * change that can be undone.
+   *
+   * @param {string} name
+   * @param {Object} [opts={}]
+   * @param {boolean} [opts.prettify=false]
+   * @returns {Settings}
+   * @public
+   */
+  revertTo(name, opts = {}) {
+    assert.strictEqual(typeof name, 'string', 'First parameter must be a string');
+    assert.ok(this._checkpoints.has(name), `There is no checkpoint named "${name}"`);
+    assert.strictEqual(typeof opts, 'object', 'Second parameter must be an object');
 
-      return value;
-    }
+    this._setValueAtKeyPath('', clone(this._checkpoints.get(name)), opts);
 
-    return obj;
+    return this;
   }
 
   /**
-   * Deletes the key and value at the given key path, or clears the entire
-   * settings object if an empty key path is given.
+   * Re-encrypts the settings file with the given encryption key or cipher.
+   * Pass `null` to decrypt the settings file.
    *
-   * @param {string} keyPath
-   * @param {Object} opts
-   * @private
+   * @param {string|Buffer|Object} key
+   * @param {Object} [opts={}]
+   * @param {boolean} [opts.prettify=false]
+   * @returns {Settings}
+   * @public
    */
-  _deleteValueAtKeyPath(keyPath, opts) {
-    if (keyPath === '') {
-      this._writeSettings({}, opts);
-    } else {
-      const obj = this._readSettings();
-      const exists = Helpers.hasKeyPath(obj, keyPath);
+  rekey(key, opts = {}) {
+    assert.ok(key === null || typeof key === 'string' || typeof key === 'object', 'First parameter must be a string, Buffer, cipher or null');
+    assert.strictEqual(typeof opts, 'object', 'Second parameter must be an object');
 
-      if (exists) {
-        Helpers.deleteValueAtKeyPath(obj, keyPath);
-        this._writeSettings(obj, opts);
-      }
-    }
+    this._rekeySettings(key, opts);
+
+    return this;
   }
 
   /**
-   * Watches the given key path for changes and calls the given handler
-   * if the value changes. To unsubscribe from changes, call `dispose()`
-   * on the Observer instance that is returned.
+   * Runs the given migrations that have not been run yet, in version order,
+   * then records the current version of the app as the last migrated
+   * version, unless an older version of the app is running. Each migration
+   * is called with a transaction, and if any of them throws, none of the
+   * changes are written.
    *
-   * @param {string} keyPath
-   * @param {Function} handler
-   * @returns {Observer}
-   * @private
+   * @example
+   * settings.migrate({
+   *   '2.0.0': s => {
+   *     s.set('theme.name', s.get('theme'), { overwrite: true });
+   *   }
+   * });
+   *
+   * @param {Object} migrations - Migration functions keyed by version.
+   * @param {Object} [opts={}]
+   * @param {string} [opts.version] - Defaults to the version of the app.
+   * @param {boolean} [opts.prettify=false]
+   * @returns {Settings}
+   * @public
    */
-  _watchValueAtKeyPath(keyPath, handler) {
-    const currentValue = this._getValueAtKeyPath(keyPath);
+  migrate(migrations, opts = {}) {
+    assert.strictEqual(typeof migrations, 'object', 'First parameter must be an object');
+    assert.strictEqual(typeof opts, 'object', 'Second parameter must be an object');
+
+    const version = opts.version || getApp().getVersion();
 
-    return new Observer(this, keyPath, handler, currentValue);
+    this._runMigrations(migrations, version, opts);
+
+    return this;
   }
 
   /**
-   * Returns a boolean indicating whether the settings object contains
-   * the given key path.
+   * Asynchronously returns a boolean indicating whether the settings object
+   * contains the given key path.
    *
-   * @param {string} keyPath
-   * @returns {boolean}
+   * @param {string|Array} keyPath
+   * @param {Object} [opts={}]
+   * @param {boolean} [opts.defaults=true]
+   * @returns {Promise.<boolean>}
    * @public
    */
-  has(keyPath) {
-    assert.strictEqual(typeof keyPath, 'string', 'First parameter must be a string');
+  hasAsync(keyPath, opts = {}) {
+    assert.ok(Helpers.isKeyPath(keyPath), 'First parameter must be a string or an array');
+    assert.strictEqual(typeof opts, 'object', 'Second parameter must be an object');
+
+    const normalizedKeyPath = Helpers.normalizeKeyPath(keyPath);
 
-    return this._checkKeyPathExists(keyPath);
+    return this._checkKeyPathExistsAsync(normalizedKeyPath, opts.defaults !== false);
   }
 
   /**
-   * Sets the value at the given key path.
+   * Asynchronously sets the value at the given key path.
    *
-   * @param {string} keyPath
+   * @param {string|Array} keyPath
    * @param {any} value
    * @param {Object} [opts={}]
+   * @param {boolean} [opts.overwrite=false]
    * @param {boolean} [opts.prettify=false]
-   * @returns {Settings}
+   * @returns {Promise}
    * @public
    */
-  set(keyPath, value, opts = {}) {
-    assert.strictEqual(typeof keyPath, 'string', 'First parameter must be a string. Did you mean to use `setAll()` instead?');
+  setAsync(keyPath, value, opts = {}) {
+    assert.ok(Helpers.isKeyPath(keyPath), 'First parameter must be a string or an array. Did you mean to use `setAllAsync()` instead?');
     assert.strictEqual(typeof opts, 'object', 'Second parameter must be an object');
 
-    this._setValueAtKeyPath(keyPath, value, opts);
-
-    return this;
+    return this._setValueAtKeyPathAsync(Helpers.normalizeKeyPath(keyPath), value, opts);
   }
 
   /**
-   * Sets all settings.
+   * Asynchronously sets all settings.
    *
    * @param {Object} obj
    * @param {Object} [opts={}]
    * @param {boolean} [opts.prettify=false]
-   * @returns {Settings}
+   * @returns {Promise}
    * @public
    */
-  setAll(obj, opts = {}) {
+  setAllAsync(obj, opts = {}) {
     assert.strictEqual(typeof obj, 'object', 'First parameter must be an object');
     assert.strictEqual(typeof opts, 'object', 'Second parameter must be an object');
 
-    this._setValueAtKeyPath('', obj, opts);
-
-    return this;
+    return this._setValueAtKeyPathAsync('', obj, opts);
   }
 
   /**
-   * Returns the value at the given key path, or sets the value at that key
-   * path to the default value, if provided, if the key does not exist.
+   * Asynchronously returns the value at the given key path, or sets the
+   * value at that key path to the default value, if provided, if the key
+   * does not exist.
    *
-   * @param {string} keyPath
+   * @param {string|Array} keyPath
    * @param {any} [defaultValue]
    * @param {Object} [opts={}]
-   * @returns {any}
+   * @returns {Promise.<any>}
    * @public
    */
-  get(keyPath, defaultValue, opts = {}) {
-    assert.strictEqual(typeof keyPath, 'string', 'First parameter must be a string. Did you mean to use `getAll()` instead?');
+  getAsync(keyPath, defaultValue, opts = {}) {
+    assert.ok(Helpers.isKeyPath(keyPath), 'First parameter must be a string or an array. Did you mean to use `getAllAsync()` instead?');
 
-    return this._getValueAtKeyPath(keyPath, defaultValue, opts);
+    return this._getValueAtKeyPathAsync(Helpers.normalizeKeyPath(keyPath), defaultValue, opts);
   }
 
   /**
-   * Returns all settings.
+   * Asynchronously returns all settings. Secrets are redacted unless
+   * `opts.secrets` is true.
    *
-   * @returns {Object}
+   * @param {Object} [opts={}]
+   * @param {boolean} [opts.secrets=false]
+   * @param {boolean} [opts.defaults=true]
+   * @returns {Promise.<Object>}
    * @public
    */
-  getAll() {
-    return this._getValueAtKeyPath('');
+  getAllAsync(opts = {}) {
+    assert.strictEqual(typeof opts, 'object', 'First parameter must be an object');
+
+    return this._getValueAtKeyPathAsync('', undefined, opts);
   }
 
   /**
-   * Deletes the key and value at the given key path.
+   * Asynchronously deletes the key and value at the given key path.
    *
-   * @param {string} keyPath
+   * @param {string|Array} keyPath
    * @param {Object} [opts={}]
    * @param {boolean} [opts.prettify=false]
-   * @returns {Settings}
+   * @returns {Promise}
    * @public
    */
-  delete(keyPath, opts = {}) {
-    assert.strictEqual(typeof keyPath, 'string', 'First parameter must be a string. Did you mean to use `deleteAll()` instead?');
+  deleteAsync(keyPath, opts = {}) {
+    assert.ok(Helpers.isKeyPath(keyPath), 'First parameter must be a string or an array. Did you mean to use `deleteAllAsync()` instead?');
     assert.strictEqual(typeof opts, 'object', 'Second parameter must be an object');
 
-    this._deleteValueAtKeyPath(keyPath, opts);
-
-    return this;
+    return this._deleteValueAtKeyPathAsync(Helpers.normalizeKeyPath(keyPath), opts);
   }
 
   /**
-   * Deletes all settings.
+   * Asynchronously deletes all settings.
    *
    * @param {Object} [opts={}]
    * @param {boolean} [opts.prettify=false]
-   * @returns {Settings}
+   * @returns {Promise}
    * @public
    */
-  deleteAll(opts = {}) {
+  deleteAllAsync(opts = {}) {
     assert.strictEqual(typeof opts, 'object', 'First parameter must be an object');
 
-    this._deleteValueAtKeyPath('', opts);
-
-    return this;
+    return this._deleteValueAtKeyPathAsync('', opts);
   }
 
   /**
@@ -453,16 +2523,35 @@ class Settings extends EventEmitter {
    * if the value changes. To unsubscribe from changes, call `dispose()`
    * on the Observer instance that is returned.
    *
-   * @param {string} keyPath
+   * The key path may be a pattern, in which `*` matches any single key and
+   * `**` matches any number of keys, such as "plugins.*.enabled". The
+   * handler is then called for each key path matching the pattern whose
+   * value changes.
+   *
+   * The handler is called with the new value, the old value and the key
+   * path whose value changed.
+   *
+   * @param {string|Array} keyPath
    * @param {Function} handler
+   * @param {Object} [opts={}]
+   * @param {boolean} [opts.immediate=false] - Call the handler with the
+   *   current value right away.
+   * @param {boolean} [opts.deep=true] - Call the handler when a value within
+   *   the watched value changes. Otherwise, only call it when the watched
+   *   value itself is replaced.
+   * @param {number} [opts.debounce=0] - Wait until no changes have been
+   *   made for this many milliseconds before calling the handler.
+   * @param {boolean} [opts.once=false] - Dispose of the Observer after the
+   *   handler is first called.
    * @returns {Observer}
    * @public
    */
-  watch(keyPath, handler) {
-    assert.strictEqual(typeof keyPath, 'string', 'First parameter must be a string');
+  watch(keyPath, handler, opts = {}) {
+    assert.ok(Helpers.isKeyPath(keyPath), 'First parameter must be a string or an array');
     assert.strictEqual(typeof handler, 'function', 'Second parameter must be a function');
+    assert.strictEqual(typeof opts, 'object', 'Third parameter must be an object');
 
-    return this._watchValueAtKeyPath(keyPath, handler);
+    return this._watchValueAtKeyPath(Helpers.normalizeKeyPath(keyPath), handler, opts);
   }
 
   /**
@@ -492,6 +2581,91 @@ class Settings extends EventEmitter {
     return this;
   }
 
+  /**
+   * Sets options for this Settings instance.
+   *
+   * @param {Object} opts
+   * @param {string} [opts.name='Settings']
+   * @param {string} [opts.cwd]
+   * @param {string} [opts.fileExtension='']
+   * @param {boolean} [opts.backup=false]
+   * @param {string|Function} [opts.onCorrupt='restore']
+   * @param {string} [opts.writeMode='immediate']
+   * @param {number} [opts.writeDebounce=100]
+   * @param {Object} [opts.schema=null]
+   * @param {string|Buffer} [opts.encryptionKey=null]
+   * @param {Object} [opts.cipher=null]
+   * @param {string|Buffer} [opts.secretKey=null]
+   * @param {string[]} [opts.secretKeys=[]]
+   * @param {string|Object} [opts.serializer=null]
+   * @param {Object} [opts.backend=null]
+   * @returns {Settings}
+   * @public
+   */
+  configure(opts) {
+    assert.strictEqual(typeof opts, 'object', 'First parameter must be an object');
+
+    const changesBackend = ['name', 'cwd', 'fileExtension', 'backup', 'backend'].some(key => key in opts);
+
+    // Write pending settings to the current backend before it changes.
+    if (changesBackend) {
+      this._flushSettings();
+    }
+
+    Object.assign(this._opts, opts);
+
+    if (changesBackend) {
+      this._resetSettingsFile();
+    }
+
+    if (this._opts.writeMode === Settings.WriteModes.IMMEDIATE) {
+      this._flushSettings();
+    }
+
+    return this;
+  }
+
+  /**
+   * Sets the JSON Schema that settings are validated against when they are
+   * set. Pass `null` to stop validating settings.
+   *
+   * @param {Object} schema
+   * @returns {Settings}
+   * @public
+   */
+  setSchema(schema) {
+    assert.strictEqual(typeof schema, 'object', 'First parameter must be an object');
+
+    this._opts.schema = schema;
+
+    return this;
+  }
+
+  /**
+   * Validates all settings against the schema. Returns an array of
+   * violations, each with the key path of the invalid value and a message
+   * describing the problem. The array is empty if all settings are valid.
+   *
+   * @returns {Object[]}
+   * @public
+   */
+  validate() {
+    return this._getSchemaErrors(this._readSettings());
+  }
+
+  /**
+   * Writes pending settings to the disk immediately. This is only
+   * necessary if the write mode is not "immediate".
+   *
+   * @returns {Settings}
+   * @public
+   */
+  flush() {
+    this._flushSettings();
+
+    return this;
+  }
+
   /**
    * Returns the absolute path to where the settings file is or will be stored.
    *
@@ -504,24 +2678,165 @@ class Settings extends EventEmitter {
 }
 
 /**
- * ElectronSettings event names.
+ * ElectronSettings default options.
+ *
+ * @type {Object}
+ * @property {string} name - The name of the settings file.
+ * @property {string} cwd - The directory of the settings file. Defaults to
+ *   the app's user data directory.
+ * @property {string} fileExtension - The extension of the settings file.
+ * @property {boolean} backup - Keep a copy of the last good settings file
+ *   alongside the settings file before each write.
+ * @property {string|Function} onCorrupt - The action to take when the
+ *   settings file cannot be parsed. One of `Settings.CorruptActions`, or a
+ *   function that is given the error and the path that the corrupt file was
+ *   moved to and returns one.
+ * @property {string} writeMode - When to write changes to the disk. One of
+ *   `Settings.WriteModes`.
+ * @property {number} writeDebounce - The number of milliseconds to wait for
+ *   further changes before writing to the disk, if the write mode is
+ *   "debounce".
+ * @property {Object} schema - The JSON Schema that settings are validated
+ *   against when they are set.
+ * @property {string|Buffer} encryptionKey - The key that the settings file
+ *   is encrypted with using AES-256-GCM.
+ * @property {Object} cipher - A custom cipher that the settings file is
+ *   encrypted with, instead of the built in one. Must have `encrypt` and
+ *   `decrypt` methods that take and return strings, and `decrypt` must
+ *   throw if it cannot authenticate the contents.
+ * @property {string|Buffer} secretKey - The key that secrets are encrypted
+ *   with using AES-256-GCM.
+ * @property {string[]} secretKeys - The key paths whose values are always
+ *   stored as secrets.
+ * @property {string|Object} serializer - The format of the settings file.
+ *   One of `Settings.Formats`, or a custom serializer with `parse` and
+ *   `stringify` methods. `parse` must throw a SyntaxError if the contents
+ *   are invalid. Defaults to the format matching the settings file
+ *   extension: JSON5 for ".json5" and ".jsonc", YAML for ".yaml" and
+ *   ".yml", and JSON otherwise.
+ * @property {Object} backend - The backend that stores the settings, with
+ *   `read`, `write` and `watch` methods. Defaults to a file backend for the
+ *   settings file. See the settings-file-backend module for the interface.
+ * @property {boolean} lock - Lock the stored settings while they are
+ *   changed, so that other processes changing them at the same time do not
+ *   lose each other's changes. Only used if the backend supports locking.
+ * @property {number} lockTimeout - The number of milliseconds to wait for
+ *   another process to release the lock before throwing a
+ *   SettingsLockError.
+ * @property {number} lockStaleAge - The number of milliseconds after which
+ *   a lock is considered stale and is broken, in case the process holding
+ *   it hangs. Locks held by processes that have exited are always broken.
+ * @property {boolean} history - Record the changes made through this
+ *   instance, so that they can be undone with `undo()` and redone with
+ *   `redo()`.
+ * @property {number} historyLimit - The maximum number of changes to
+ *   record. The oldest changes are forgotten first.
+ * @readonly
+ */
+Settings.DefaultOptions = {
+  name: defaultSettingsFileName,
+  cwd: null,
+  fileExtension: '',
+  backup: false,
+  onCorrupt: 'restore',
+  writeMode: 'immediate',
+  writeDebounce: 100,
+  schema: null,
+  encryptionKey: null,
+  cipher: null,
+  secretKey: null,
+  secretKeys: [],
+  serializer: null,
+  backend: null,
+  lock: true,
+  lockTimeout: 5000,
+  lockStaleAge: 10000,
+  history: false,
+  historyLimit: 100
+};
+
+/**
+ * ElectronSettings built in serialization formats. JSON5 files keep their
+ * comments when they are rewritten.
  *
  * @enum {string}
  * @readonly
  */
-Settings.FSWatcherEvents = {
-  CHANGE: 'change',
-  RENAME: 'rename'
+Settings.Formats = Serializers.Formats;
+
+/**
+ * ElectronSettings array merge strategies for `merge()`. "replace" replaces
+ * stored arrays with the arrays being merged, and "concat" appends their
+ * items to the stored arrays.
+ *
+ * @enum {string}
+ * @readonly
+ */
+Settings.ArrayMergeStrategies = Helpers.ArrayMergeStrategies;
+
+/**
+ * ElectronSettings write modes. "immediate" writes every change to the disk
+ * as soon as it is made, "tick" coalesces changes made until the next turn
+ * of the event loop, and "debounce" coalesces changes until none have been
+ * made for `writeDebounce` milliseconds.
+ *
+ * @enum {string}
+ * @readonly
+ */
+Settings.WriteModes = {
+  IMMEDIATE: 'immediate',
+  TICK: 'tick',
+  DEBOUNCE: 'debounce'
+};
+
+/**
+ * ElectronSettings corrupt settings file actions.
+ *
+ * @enum {string}
+ * @readonly
+ */
+Settings.CorruptActions = {
+  RESET: 'reset',
+  RESTORE: 'restore',
+  THROW: 'throw'
 };
 
 /**
- * ElectronSettings event names.
+ * ElectronSettings FSWatcher event names.
+ *
+ * @enum {string}
+ * @readonly
+ */
+Settings.FSWatcherEvents = FileBackend.FSWatcherEvents;
+
+/**
+ * ElectronSettings event names. The "change" event is given an array of
+ * changes, each with the `keyPath` whose value changed, its `oldValue` and
+ * `newValue`, and the `source` of the change, which is one of
+ * `Settings.ChangeSources`. It is also given the key paths that the
+ * settings were written at to make the changes, or null if they are not
+ * known.
  *
  * @enum {string}
  * @readonly
  */
 Settings.Events = {
-  CHANGE: 'change'
+  CHANGE: 'change',
+  CORRUPT: 'corrupt',
+  ERROR: 'error'
+};
+
+/**
+ * ElectronSettings change sources. "internal" changes were made through
+ * this Settings instance, and "external" changes were made to the stored
+ * settings by anything else.
+ *
+ * @enum {string}
+ * @readonly
+ */
+Settings.ChangeSources = {
+  INTERNAL: 'internal',
+  EXTERNAL: 'external'
 };
 
 module.exports = Settings;
@@ -0,0 +1,264 @@
+/* global window */
+
+/**
+ * A preload script that gives renderer processes access to their settings
+ * without `remote` or Node.js, through the main process over IPC. The main
+ * process must serve its settings with an IPC server, which resolves the
+ * settings file path and does all file access:
+ *
+ *   new SettingsIpcServer(settings);
+ *
+ * Then either use this module as the preload script of the window, or
+ * require it from your own preload script. It exposes only the methods of
+ * the preload API as `window.settings`, through `contextBridge` when the
+ * context is isolated.
+ *
+ * Sandboxed preload scripts can only require Electron, so this module must
+ * not require any other module of electron-settings.
+ *
+ * @see module:settings-ipc-server
+ * @module preload
+ * @author Nathan Buchar
+ * @copyright 2016-2017 Nathan Buchar <hello@nathanbuchar.com>
+ * @license ISC
+ */
+
+const electron = require('electron');
+
+/**
+ * The name that the preload API is exposed as in the renderer process.
+ *
+ * @type {string}
+ */
+const apiName = 'settings';
+
+/**
+ * The IPC channel names of the messages that the IPC server handles. These
+ * must match `SettingsIpcServer.Messages` on the default channel.
+ *
+ * @enum {string}
+ */
+const Channels = {
+  READ: 'electron-settings:read',
+  GET: 'electron-settings:get',
+  WRITE: 'electron-settings:write',
+  CHANGE: 'electron-settings:change'
+};
+
+/**
+ * Throws a TypeError with the given message unless the given condition is
+ * true. The `assert` module cannot be required in sandboxed preload scripts.
+ *
+ * @param {boolean} condition
+ * @param {string} message
+ */
+const check = (condition, message) => {
+  if (!condition) throw new TypeError(message);
+};
+
+/**
+ * Returns a boolean indicating whether the given value is a key path that
+ * the preload API supports, which is either a string in which keys are
+ * separated by dots, or an array of keys. Strings with escaped keys or keys
+ * in brackets cannot be parsed here, so use an array for keys that contain
+ * dots and for array indices.
+ *
+ * @param {any} keyPath
+ * @returns {boolean}
+ */
+const isKeyPath = keyPath => (
+  (typeof keyPath === 'string' && !/[\\[\]]/.test(keyPath)) || Array.isArray(keyPath)
+);
+
+/**
+ * The message of the error thrown when the first parameter is not a key
+ * path that the preload API supports.
+ *
+ * @type {string}
+ */
+const keyPathMessage = 'First parameter must be a string of keys separated by dots or an array of keys';
+
+/**
+ * Returns the value of the given object at the given key path, or undefined
+ * if it does not exist.
+ *
+ * @param {Object} obj
+ * @param {string|Array} keyPath
+ * @returns {any}
+ */
+const getValueAtKeyPath = (obj, keyPath) => {
+  const keys = Array.isArray(keyPath) ? keyPath : keyPath.split(/\./);
+
+  return keys.reduce((value, key) => (
+    value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key)
+      ? value[key]
+      : undefined
+  ), obj);
+};
+
+/**
+ * Creates the preload API, which sends requests to the main process with
+ * the given IPC module.
+ *
+ * @param {Object} ipcRenderer
+ * @returns {Object}
+ */
+const createApi = ipcRenderer => {
+  const changeHandlers = new Set();
+
+  // The settings object as it was last read, serialized so that it cannot
+  // be changed through the values returned, or null if it has changed since.
+  let cache = null;
+
+  const request = (channel, ...args) => {
+    const reply = ipcRenderer.sendSync(channel, ...args);
+
+    if (!reply) {
+      throw new Error('The main process did not reply. Is the settings IPC server running?');
+    }
+
+    if (reply.error) {
+      const err = new Error(reply.error.message);
+
+      err.name = reply.error.name;
+
+      throw err;
+    }
+
+    return reply.value;
+  };
+
+  const read = () => {
+    if (!cache) {
+      cache = JSON.stringify(request(Channels.READ));
+    }
+
+    return JSON.parse(cache);
+  };
+
+  const notify = () => {
+    cache = null;
+    changeHandlers.forEach(handler => handler());
+  };
+
+  const write = (keyPath, value) => {
+    request(Channels.WRITE, [{ keyPath, newValue: value }]);
+    notify();
+  };
+
+  // The IPC server only sends changes made by other processes.
+  ipcRenderer.on(Channels.CHANGE, notify);
+
+  return {
+
+    /**
+     * Returns a boolean indicating whether the settings object contains the
+     * given key path.
+     *
+     * @param {string|Array} keyPath
+     * @returns {boolean}
+     */
+    has(keyPath) {
+      check(isKeyPath(keyPath), keyPathMessage);
+
+      return typeof getValueAtKeyPath(read(), keyPath) !== 'undefined';
+    },
+
+    /**
+     * Returns the value at the given key path, or the given default value
+     * if the key path does not exist. Unlike `settings.get()`, the default
+     * value is not stored. Secrets are redacted unless the IPC server
+     * reveals them.
+     *
+     * @param {string|Array} keyPath
+     * @param {any} [defaultValue]
+     * @returns {any}
+     */
+    get(keyPath, defaultValue) {
+      check(isKeyPath(keyPath), `${keyPathMessage}. Did you mean to use \`getAll()\` instead?`);
+
+      // Ask for the key path explicitly, since only then may the IPC
+      // server reveal secrets.
+      const value = request(Channels.GET, keyPath);
+
+      return typeof value === 'undefined' ? defaultValue : value;
+    },
+
+    /**
+     * Returns all settings. Secrets are redacted.
+     *
+     * @returns {Object}
+     */
+    getAll() {
+      return read();
+    },
+
+    /**
+     * Sets the value at the given key path.
+     *
+     * @param {string|Array} keyPath
+     * @param {any} value
+     */
+    set(keyPath, value) {
+      check(isKeyPath(keyPath), `${keyPathMessage}. Did you mean to use \`setAll()\` instead?`);
+      check(typeof value !== 'undefined', 'Second parameter must not be undefined. Did you mean to use `delete()` instead?');
+
+      write(keyPath, value);
+    },
+
+    /**
+     * Deletes the key and value at the given key path.
+     *
+     * @param {string|Array} keyPath
+     */
+    delete(keyPath) {
+      check(isKeyPath(keyPath), keyPathMessage);
+
+      write(keyPath, undefined);
+    },
+
+    /**
+     * Watches the given key path for changes and calls the given handler
+     * with the new and old values if the value changes. Returns a function
+     * that stops watching.
+     *
+     * @param {string|Array} keyPath
+     * @param {Function} handler
+     * @returns {Function}
+     */
+    watch(keyPath, handler) {
+      check(isKeyPath(keyPath), keyPathMessage);
+      check(typeof handler === 'function', 'Second parameter must be a function');
+
+      let currentValue = getValueAtKeyPath(read(), keyPath);
+
+      const changeHandler = () => {
+        const oldValue = currentValue;
+        const newValue = getValueAtKeyPath(read(), keyPath);
+
+        if (JSON.stringify(newValue) !== JSON.stringify(oldValue)) {
+          currentValue = newValue;
+          handler(newValue, oldValue);
+        }
+      };
+
+      changeHandlers.add(changeHandler);
+
+      return () => {
+        changeHandlers.delete(changeHandler);
+      };
+    }
+  };
+};
+
+module.exports.createApi = createApi;
+
+if (process.type === 'renderer' && electron.ipcRenderer) {
+  const api = createApi(electron.ipcRenderer);
+
+  if (process.contextIsolated) {
+    electron.contextBridge.exposeInMainWorld(apiName, api);
+  } else {
+    window[apiName] = api;
+  }
+}
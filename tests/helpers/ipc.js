@@ -0,0 +1,46 @@
+/**
+ * A module that creates in-process stand-ins for the Electron IPC modules,
+ * so that the IPC backend, server and preload API can be tested together.
+ *
+ * @module helpers/ipc
+ * @author Nathan Buchar
+ * @copyright 2016-2017 Nathan Buchar <hello@nathanbuchar.com>
+ * @license ISC
+ */
+
+const { EventEmitter } = require('events');
+
+/**
+ * Creates an in-process stand-in for the IPC modules of the main process
+ * and of the given number of renderer processes.
+ *
+ * @param {number} rendererCount
+ * @returns {Object}
+ */
+module.exports.createIpc = rendererCount => {
+  const ipcMain = new EventEmitter();
+  const renderers = [];
+
+  for (let i = 0; i < rendererCount; i++) {
+    const ipcRenderer = new EventEmitter();
+    const webContents = {
+      send: (channel, ...args) => setImmediate(() => ipcRenderer.emit(channel, {}, ...args))
+    };
+
+    ipcRenderer.sendSync = (channel, ...args) => {
+      const event = { sender: webContents };
+
+      ipcMain.emit(channel, event, ...args);
+
+      return event.returnValue;
+    };
+
+    renderers.push({ ipcRenderer, webContents });
+  }
+
+  return {
+    ipcMain,
+    renderers,
+    webContents: { getAllWebContents: () => renderers.map(renderer => renderer.webContents) }
+  };
+};
@@ -0,0 +1,148 @@
+/* global it, describe, beforeEach, afterEach */
+
+const assert = require('assert');
+
+const { Settings } = require('../');
+const { createApi } = require('../preload');
+const IpcServer = require('../lib/settings-ipc-server');
+const MemoryBackend = require('../lib/settings-memory-backend');
+const { createIpc } = require('./helpers/ipc');
+
+describe('preload', () => {
+
+  let ipc;
+  let mainSettings;
+  let server;
+  let apis;
+
+  beforeEach('create settings', () => {
+    ipc = createIpc(2);
+    mainSettings = new Settings({ backend: new MemoryBackend({ foo: { bar: 'baz' } }) });
+    server = new IpcServer(mainSettings, { ipcMain: ipc.ipcMain, webContents: ipc.webContents });
+    apis = ipc.renderers.map(renderer => createApi(renderer.ipcRenderer));
+  });
+
+  afterEach('dispose server', () => {
+    server.dispose();
+  });
+
+  it('should only expose the allowed methods', () => {
+    assert.deepEqual(Object.keys(apis[0]), ['has', 'get', 'getAll', 'set', 'delete', 'watch']);
+  });
+
+  it('should read the settings of the main process', () => {
+    assert.equal(apis[0].has('foo.bar'), true);
+    assert.equal(apis[0].has('snap'), false);
+    assert.equal(apis[0].get('foo.bar'), 'baz');
+    assert.equal(apis[0].get('snap', 'crackle'), 'crackle');
+    assert.deepEqual(apis[0].getAll(), { foo: { bar: 'baz' } });
+  });
+
+  it('should not return references to the cached settings', () => {
+    apis[0].get('foo').bar = 'qux';
+
+    assert.equal(apis[0].get('foo.bar'), 'baz');
+  });
+
+  it('should write the settings of the main process', () => {
+    apis[0].set('foo.qux', 1);
+    apis[0].delete('foo.bar');
+
+    assert.deepEqual(mainSettings.getAll(), { foo: { qux: 1 } });
+    assert.deepEqual(apis[0].getAll(), { foo: { qux: 1 } });
+  });
+
+  it('should accept key paths that are arrays of keys', () => {
+    apis[0].set(['hosts', 'example.com'], 'qux');
+
+    assert.deepEqual(mainSettings.get('hosts'), { 'example.com': 'qux' });
+    assert.equal(apis[0].get(['hosts', 'example.com']), 'qux');
+  });
+
+  it('should reject key path strings with escaped keys or keys in brackets', () => {
+    assert.throws(() => {
+      apis[0].set('servers[0].host', 'qux');
+    }, TypeError);
+
+    assert.throws(() => {
+      apis[0].get('hosts.example\\.com');
+    }, TypeError);
+
+    apis[0].set(['servers', 0, 'host'], 'qux');
+
+    assert.equal(apis[0].get(['servers', 0, 'host']), 'qux');
+    assert.deepEqual(mainSettings.get('servers'), [{ host: 'qux' }]);
+  });
+
+  it('should throw if the parameters are invalid', () => {
+    assert.throws(() => {
+      apis[0].get();
+    }, TypeError);
+
+    assert.throws(() => {
+      apis[0].set('foo');
+    }, TypeError);
+  });
+
+  it('should watch changes made by the same renderer process', () => {
+    const calls = [];
+    const unwatch = apis[0].watch('foo.bar', (newValue, oldValue) => {
+      calls.push([newValue, oldValue]);
+    });
+
+    apis[0].set('foo.bar', 'qux');
+    apis[0].set('snap', 'crackle');
+    unwatch();
+    apis[0].set('foo.bar', 'quux');
+
+    assert.deepEqual(calls, [
+      ['qux', 'baz']
+    ]);
+  });
+
+  it('should watch changes made by other processes', done => {
+    const unwatch = apis[1].watch('foo.bar', (newValue, oldValue) => {
+      assert.equal(newValue, 'qux');
+      assert.equal(oldValue, 'baz');
+
+      unwatch();
+
+      done();
+    });
+
+    apis[0].set('foo.bar', 'qux');
+  });
+
+  it('should redact secrets', () => {
+    mainSettings.configure({ secretKey: 'secret' });
+    mainSettings.setSecret('auth.token', 'hunter2');
+
+    assert.equal(apis[0].get('auth.token'), '[REDACTED]');
+    assert.deepEqual(apis[0].getAll().auth, { token: '[REDACTED]' });
+  });
+
+  it('should reveal secrets asked for by key path if the IPC server allows it', () => {
+    server.dispose();
+    server = new IpcServer(mainSettings, {
+      ipcMain: ipc.ipcMain,
+      webContents: ipc.webContents,
+      revealSecrets: true
+    });
+
+    mainSettings.configure({ secretKey: 'secret' });
+    mainSettings.setSecret('auth.token', 'hunter2');
+
+    assert.equal(apis[0].get('auth.token'), 'hunter2');
+    assert.equal(apis[0].get(['auth', 'token']), 'hunter2');
+    assert.deepEqual(apis[0].get('auth'), { token: 'hunter2' });
+    assert.deepEqual(apis[0].getAll().auth, { token: '[REDACTED]' });
+  });
+
+  it('should throw if the IPC server is not running', () => {
+    server.dispose();
+
+    assert.throws(() => {
+      apis[0].getAll();
+    }, /did not reply/);
+  });
+});
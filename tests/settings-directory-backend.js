@@ -0,0 +1,115 @@
+/* global it, describe, beforeEach, afterEach */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DirectoryBackend = require('../lib/settings-directory-backend');
+
+const serializer = {
+  parse: contents => JSON.parse(contents),
+  stringify: obj => JSON.stringify(obj)
+};
+
+describe('settings-directory-backend', () => {
+
+  let dirPath;
+
+  beforeEach('create directory path', () => {
+    dirPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'settings-')), 'settings');
+  });
+
+  afterEach('delete directory', () => {
+    fs.rmSync(path.dirname(dirPath), { recursive: true, force: true });
+  });
+
+  describe('read()', () => {
+
+    it('should return null if the directory does not exist', () => {
+      const backend = new DirectoryBackend(dirPath);
+
+      assert.equal(backend.read(serializer), null);
+    });
+
+    it('should read each top level setting from its own file', () => {
+      fs.mkdirSync(dirPath);
+      fs.writeFileSync(path.join(dirPath, 'foo.json'), '{"foo":{"bar":"baz"}}');
+      fs.writeFileSync(path.join(dirPath, 'qux.json'), '{"qux":null}');
+      fs.writeFileSync(path.join(dirPath, 'README'), 'Not a settings file.');
+
+      const backend = new DirectoryBackend(dirPath);
+
+      assert.deepEqual(backend.read(serializer), { foo: { bar: 'baz' }, qux: null });
+    });
+  });
+
+  describe('write()', () => {
+
+    it('should write each top level setting to its own file', () => {
+      const backend = new DirectoryBackend(dirPath);
+
+      backend.write({ foo: 'bar', 'baz/qux': 1 }, serializer);
+
+      assert.deepEqual(fs.readdirSync(dirPath).sort(), ['baz%2Fqux.json', 'foo.json']);
+      assert.equal(fs.readFileSync(path.join(dirPath, 'foo.json'), 'utf8'), '{"foo":"bar"}');
+    });
+
+    it('should only rewrite the files of settings that have changed', () => {
+      const backend = new DirectoryBackend(dirPath);
+
+      backend.write({ foo: 'bar', baz: 'qux' }, serializer);
+
+      const { ino } = fs.statSync(path.join(dirPath, 'foo.json'));
+
+      backend.write({ foo: 'bar', baz: 'quux' }, serializer);
+
+      assert.equal(fs.statSync(path.join(dirPath, 'foo.json')).ino, ino);
+      assert.deepEqual(backend.read(serializer), { foo: 'bar', baz: 'quux' });
+    });
+
+    it('should delete the files of settings that no longer exist', () => {
+      const backend = new DirectoryBackend(dirPath);
+
+      backend.write({ foo: 'bar', baz: 'qux' }, serializer);
+      backend.write({ foo: 'bar' }, serializer);
+
+      assert.deepEqual(fs.readdirSync(dirPath), ['foo.json']);
+    });
+  });
+
+  describe('recover()', () => {
+
+    it('should only move the corrupt file aside', () => {
+      const backend = new DirectoryBackend(dirPath);
+
+      backend.write({ foo: 'bar', baz: 'qux' }, serializer);
+      fs.writeFileSync(path.join(dirPath, 'baz.json'), '{"baz":');
+
+      assert.throws(() => backend.read(serializer), SyntaxError);
+
+      const corruptFilePath = backend.recover();
+
+      assert.equal(fs.readFileSync(corruptFilePath, 'utf8'), '{"baz":');
+      assert.deepEqual(backend.read(serializer), { foo: 'bar' });
+    });
+  });
+
+  describe('restore()', () => {
+
+    it('should return the settings that are not corrupt', () => {
+      const backend = new DirectoryBackend(dirPath);
+
+      backend.write({ foo: 'bar', baz: 'qux', quux: 1 }, serializer);
+      fs.writeFileSync(path.join(dirPath, 'baz.json'), '{"baz":');
+      fs.writeFileSync(path.join(dirPath, 'quux.json'), '{"quux":');
+
+      assert.throws(() => backend.read(serializer), SyntaxError);
+
+      backend.recover();
+
+      assert.deepEqual(backend.restore(serializer), { foo: 'bar' });
+      assert.deepEqual(fs.readdirSync(dirPath).filter(name => name.endsWith('.json')), ['foo.json']);
+    });
+  });
+});
@@ -2,10 +2,64 @@
 
 const assert = require('assert');
 
+const { SettingsKeyPathError } = require('../lib/settings-errors');
 const helpers = require('../lib/settings-helpers');
 
 describe('settings-helpers', () => {
 
+  describe('parseKeyPath()', () => {
+
+    it('should split the key path at dots', () => {
+      assert.deepEqual(helpers.parseKeyPath('foo.bar'), ['foo', 'bar']);
+      assert.deepEqual(helpers.parseKeyPath(''), []);
+    });
+
+    it('should not split the key path at escaped dots', () => {
+      assert.deepEqual(helpers.parseKeyPath('hosts.example\\.com'), ['hosts', 'example.com']);
+      assert.deepEqual(helpers.parseKeyPath('foo\\\\.bar'), ['foo\\', 'bar']);
+    });
+
+    it('should parse array indices and quoted keys in brackets', () => {
+      assert.deepEqual(helpers.parseKeyPath('servers[0].host'), ['servers', 0, 'host']);
+      assert.deepEqual(helpers.parseKeyPath("hosts['example.com']"), ['hosts', 'example.com']);
+      assert.deepEqual(helpers.parseKeyPath('hosts["a\\"b"]'), ['hosts', 'a"b']);
+      assert.deepEqual(helpers.parseKeyPath('matrix[1][2]'), ['matrix', 1, 2]);
+    });
+
+    it('should return a copy of an array of keys', () => {
+      const keys = ['hosts', 'example.com'];
+
+      assert.deepEqual(helpers.parseKeyPath(keys), keys);
+      assert.notStrictEqual(helpers.parseKeyPath(keys), keys);
+    });
+
+    it('should throw if the key path is invalid', () => {
+      assert.throws(() => helpers.parseKeyPath('servers[0'), SyntaxError);
+      assert.throws(() => helpers.parseKeyPath("hosts['example.com]"), SyntaxError);
+      assert.throws(() => helpers.parseKeyPath('servers[0]host'), SyntaxError);
+      assert.throws(() => helpers.parseKeyPath('foo\\'), SyntaxError);
+    });
+  });
+
+  describe('formatKeyPath()', () => {
+
+    it('should format keys so that they parse back to the same keys', () => {
+      const keys = ['hosts', 'example.com', 0, 'a[b]'];
+      const keyPath = helpers.formatKeyPath(keys);
+
+      assert.equal(keyPath, 'hosts.example\\.com[0].a\\[b\\]');
+      assert.deepEqual(helpers.parseKeyPath(keyPath), keys);
+    });
+
+    it('should format empty keys in brackets so that they are kept', () => {
+      [[''], ['', 'a'], ['a', '', 'b']].forEach(keys => {
+        assert.deepEqual(helpers.parseKeyPath(helpers.formatKeyPath(keys)), keys);
+      });
+
+      assert.equal(helpers.formatKeyPath(['a', '', 'b']), "a[''].b");
+    });
+  });
+
   describe('hasKeyPath()', () => {
 
     it('should return true if the simple key path exists', () => {
@@ -111,6 +165,90 @@ describe('settings-helpers', () => {
     });
   });
 
+  describe('array key paths', () => {
+
+    it('should get the value at an array index', () => {
+      const obj = { servers: [{ host: 'foo' }, { host: 'bar' }] };
+
+      assert.equal(helpers.getValueAtKeyPath(obj, 'servers[1].host'), 'bar');
+      assert.equal(helpers.getValueAtKeyPath(obj, ['servers', 0, 'host']), 'foo');
+      assert.equal(helpers.hasKeyPath(obj, 'servers[2]'), false);
+    });
+
+    it('should create arrays for array indices that do not exist', () => {
+      const obj = {};
+
+      helpers.setValueAtKeyPath(obj, 'servers[0].host', 'foo');
+
+      assert.deepEqual(obj, { servers: [{ host: 'foo' }] });
+    });
+
+    it('should remove deleted array items', () => {
+      const obj = { servers: ['foo', 'bar', 'baz'] };
+
+      helpers.deleteValueAtKeyPath(obj, 'servers[1]');
+
+      assert.deepEqual(obj, { servers: ['foo', 'baz'] });
+    });
+
+    it('should throw if the key path is empty', () => {
+      assert.throws(() => helpers.setValueAtKeyPath({}, '', 'foo'), /must not be empty/);
+    });
+  });
+
+  describe('unsafe key paths', () => {
+
+    it('should not set or delete values at unsafe keys', () => {
+      ['__proto__.polluted', 'constructor.prototype.polluted', ['foo', '__proto__']].forEach(keyPath => {
+        assert.throws(() => {
+          helpers.setValueAtKeyPath({ foo: {} }, keyPath, true);
+        }, SettingsKeyPathError);
+
+        assert.throws(() => {
+          helpers.deleteValueAtKeyPath({ foo: {} }, keyPath);
+        }, SettingsKeyPathError);
+      });
+
+      assert.equal({}.polluted, undefined);
+    });
+
+    it('should throw instead of setting a value within a primitive', () => {
+      const obj = { foo: 'bar' };
+
+      assert.throws(() => {
+        helpers.setValueAtKeyPath(obj, 'foo.baz', 'qux');
+      }, err => err instanceof SettingsKeyPathError && /"foo" is a string/.test(err.message));
+
+      assert.deepEqual(obj, { foo: 'bar' });
+    });
+
+    it('should throw instead of setting a key that is not an index within an array', () => {
+      const obj = { foo: ['bar'] };
+
+      assert.throws(() => {
+        helpers.setValueAtKeyPath(obj, 'foo.baz', 'qux');
+      }, SettingsKeyPathError);
+
+      helpers.setValueAtKeyPath(obj, 'foo.1', 'qux');
+
+      assert.deepEqual(obj, { foo: ['bar', 'qux'] });
+    });
+
+    it('should replace the values in the way of the key path if asked to', () => {
+      const obj = { foo: 'bar', baz: ['qux'], snap: { crackle: 'pop' } };
+
+      helpers.setValueAtKeyPath(obj, 'foo.name', 'bar', true);
+      helpers.setValueAtKeyPath(obj, 'baz.qux', true, true);
+      helpers.setValueAtKeyPath(obj, 'snap.boom', 'bang', true);
+
+      assert.deepEqual(obj, {
+        foo: { name: 'bar' },
+        baz: { qux: true },
+        snap: { crackle: 'pop', boom: 'bang' }
+      });
+    });
+  });
+
   describe('deleteValueAtKeyPath()', () => {
 
     it('should delete the value at the given simple key path', () => {
@@ -133,4 +271,122 @@ describe('settings-helpers', () => {
       assert.equal(hasKeyPath, false);
     });
   });
+
+  describe('deepMerge()', () => {
+
+    it('should deeply merge the source object into the target object', () => {
+      const obj = { foo: { bar: 'baz', qux: 'quux' } };
+
+      helpers.deepMerge(obj, { foo: { bar: 'qux' }, snap: 'crackle' });
+
+      assert.deepEqual(obj, { foo: { bar: 'qux', qux: 'quux' }, snap: 'crackle' });
+    });
+
+    it('should replace arrays', () => {
+      const obj = { foo: ['bar', 'baz'] };
+
+      helpers.deepMerge(obj, { foo: ['qux'] });
+
+      assert.deepEqual(obj, { foo: ['qux'] });
+    });
+
+    it('should concatenate arrays if asked to', () => {
+      const obj = { foo: ['bar'] };
+
+      helpers.deepMerge(obj, { foo: ['qux'] }, helpers.ArrayMergeStrategies.CONCAT);
+
+      assert.deepEqual(obj, { foo: ['bar', 'qux'] });
+    });
+
+    it('should replace values that are plain objects as a whole if asked to', () => {
+      const obj = { foo: { $secret: 'bar' } };
+      const isValue = value => typeof value.$secret === 'string';
+
+      helpers.deepMerge(obj, { foo: { baz: 'qux' } }, helpers.ArrayMergeStrategies.REPLACE, isValue);
+
+      assert.deepEqual(obj, { foo: { baz: 'qux' } });
+    });
+
+    it('should skip unsafe keys', () => {
+      const obj = {};
+
+      helpers.deepMerge(obj, JSON.parse('{"__proto__": {"polluted": true}, "foo": "bar"}'));
+
+      assert.deepEqual(obj, { foo: 'bar' });
+      assert.equal({}.polluted, undefined);
+    });
+  });
+
+  describe('diff()', () => {
+
+    it('should return the deepest changed key paths', () => {
+      const changes = helpers.diff(
+        { foo: { bar: 'baz', qux: [1] }, snap: 'crackle' },
+        { foo: { bar: 'qux', qux: [1, 2] }, snap: 'crackle', pop: true }
+      );
+
+      assert.deepEqual(changes, [
+        { keyPath: 'foo.bar', oldValue: 'baz', newValue: 'qux' },
+        { keyPath: 'foo.qux', oldValue: [1], newValue: [1, 2] },
+        { keyPath: 'pop', oldValue: undefined, newValue: true }
+      ]);
+    });
+
+    it('should return no changes if the objects are equal', () => {
+      const changes = helpers.diff({ foo: { bar: ['baz'] } }, { foo: { bar: ['baz'] } });
+
+      assert.deepEqual(changes, []);
+    });
+
+    it('should not recurse into values', () => {
+      const isValue = value => Object.prototype.hasOwnProperty.call(value, '$value');
+      const changes = helpers.diff(
+        { foo: { $value: 'bar' } },
+        { foo: { $value: 'baz' } },
+        '',
+        isValue
+      );
+
+      assert.deepEqual(changes, [
+        { keyPath: 'foo', oldValue: { $value: 'bar' }, newValue: { $value: 'baz' } }
+      ]);
+    });
+  });
+
+  describe('isKeyPathPattern()', () => {
+
+    it('should return true if the key path contains a wildcard', () => {
+      assert.equal(helpers.isKeyPathPattern('foo.*.bar'), true);
+      assert.equal(helpers.isKeyPathPattern('foo.**'), true);
+    });
+
+    it('should return false if the key path does not contain a wildcard', () => {
+      assert.equal(helpers.isKeyPathPattern('foo.bar*'), false);
+    });
+  });
+
+  describe('getKeyPathPatternBase()', () => {
+
+    it('should return the part of the pattern before the first wildcard', () => {
+      assert.equal(helpers.getKeyPathPatternBase('foo.bar.*.baz.**'), 'foo.bar');
+      assert.equal(helpers.getKeyPathPatternBase('**.foo'), '');
+      assert.equal(helpers.getKeyPathPatternBase('foo.bar'), 'foo.bar');
+    });
+  });
+
+  describe('matchesKeyPathPattern()', () => {
+
+    it('should match any single key with a wildcard', () => {
+      assert.equal(helpers.matchesKeyPathPattern('foo.bar.baz', 'foo.*.baz'), true);
+      assert.equal(helpers.matchesKeyPathPattern('foo.baz', 'foo.*.baz'), false);
+      assert.equal(helpers.matchesKeyPathPattern('foo.bar.qux.baz', 'foo.*.baz'), false);
+    });
+
+    it('should match any number of keys with a globstar', () => {
+      assert.equal(helpers.matchesKeyPathPattern('foo', 'foo.**'), true);
+      assert.equal(helpers.matchesKeyPathPattern('foo.bar.baz', 'foo.**'), true);
+      assert.equal(helpers.matchesKeyPathPattern('foo.bar.baz', '**.baz'), true);
+      assert.equal(helpers.matchesKeyPathPattern('qux.bar', 'foo.**'), false);
+    });
+  });
 });
@@ -0,0 +1,148 @@
+/* global it, describe, beforeEach, afterEach */
+
+const assert = require('assert');
+
+const { Settings } = require('../');
+const IpcBackend = require('../lib/settings-ipc-backend');
+const IpcServer = require('../lib/settings-ipc-server');
+const MemoryBackend = require('../lib/settings-memory-backend');
+const { createIpc } = require('./helpers/ipc');
+
+describe('settings-ipc', () => {
+
+  let ipc;
+  let mainSettings;
+  let server;
+  let rendererSettings;
+
+  beforeEach('create settings', () => {
+    ipc = createIpc(2);
+    mainSettings = new Settings({ backend: new MemoryBackend({ foo: { bar: 'baz' } }) });
+    server = new IpcServer(mainSettings, { ipcMain: ipc.ipcMain, webContents: ipc.webContents });
+    rendererSettings = ipc.renderers.map(renderer => new Settings({
+      backend: new IpcBackend({ ipcRenderer: renderer.ipcRenderer })
+    }));
+  });
+
+  afterEach('dispose server', () => {
+    server.dispose();
+  });
+
+  it('should read the settings of the main process', () => {
+    assert.deepEqual(rendererSettings[0].getAll(), { foo: { bar: 'baz' } });
+  });
+
+  it('should write the settings of the main process', () => {
+    rendererSettings[0].set('foo.bar', 'qux');
+
+    assert.equal(mainSettings.get('foo.bar'), 'qux');
+  });
+
+  it('should not overwrite changes made by other renderer processes', () => {
+    rendererSettings[0].get('foo');
+    rendererSettings[1].get('foo');
+
+    rendererSettings[0].set('foo.bar', 'qux');
+    rendererSettings[1].transaction(transaction => {
+      transaction.set('snap', 'crackle');
+      transaction.delete('foo.bar');
+      transaction.set('foo.bar', 'baz');
+    });
+
+    assert.deepEqual(mainSettings.getAll(), { foo: { bar: 'qux' }, snap: 'crackle' });
+  });
+
+  it('should send changes to the other renderer processes', done => {
+    rendererSettings[1].get('foo');
+    rendererSettings[1].once('change', changes => {
+      assert.deepEqual(changes, [
+        {
+          keyPath: 'foo.bar',
+          oldValue: 'baz',
+          newValue: 'qux',
+          source: 'external'
+        }
+      ]);
+      done();
+    });
+
+    rendererSettings[0].set('foo.bar', 'qux');
+  });
+
+  it('should not send changes to the renderer process that made them', done => {
+    const messageCounts = [0, 0];
+
+    ipc.renderers.forEach((renderer, i) => {
+      renderer.ipcRenderer.on('electron-settings:change', () => {
+        messageCounts[i] += 1;
+      });
+    });
+
+    rendererSettings[0].set('foo.bar', 'qux');
+
+    setTimeout(() => {
+      assert.deepEqual(messageCounts, [0, 1]);
+      done();
+    }, 10);
+  });
+
+  it('should send changes made by the main process to the renderer processes', done => {
+    rendererSettings[0].watch('foo.bar', function handler(newValue, oldValue) {
+      assert.equal(oldValue, 'baz');
+      assert.equal(newValue, 'qux');
+
+      this.dispose();
+
+      done();
+    });
+
+    mainSettings.set('foo.bar', 'qux');
+  });
+
+  it('should tell values that have been set apart from the defaults of the main process', () => {
+    mainSettings.setDefaults({ theme: 'light' });
+    rendererSettings[0].setDefaults({ font: 'serif' });
+
+    assert.equal(rendererSettings[0].get('theme'), 'light');
+    assert.equal(rendererSettings[0].has('theme', { defaults: false }), false);
+    assert.deepEqual(rendererSettings[0].getAll(), {
+      foo: { bar: 'baz' },
+      theme: 'light',
+      font: 'serif'
+    });
+  });
+
+  it('should reset values to the defaults of the main process', () => {
+    mainSettings.setDefaults({ theme: 'light' });
+    mainSettings.set('theme', 'dark');
+
+    rendererSettings[0].reset('theme');
+
+    assert.equal(mainSettings.get('theme'), 'light');
+    assert.equal(rendererSettings[0].get('theme'), 'light');
+  });
+
+  it('should redact secrets', () => {
+    mainSettings.configure({ secretKey: 'secret' });
+    mainSettings.setSecret('auth.token', 'hunter2');
+
+    assert.deepEqual(rendererSettings[0].getAll(), { foo: { bar: 'baz' }, auth: { token: '[REDACTED]' } });
+    assert.equal(rendererSettings[0].get('auth.token'), '[REDACTED]');
+  });
+
+  it('should throw errors thrown by the main process', () => {
+    mainSettings.setSchema({ type: 'object', properties: { foo: { type: 'object' } } });
+
+    assert.throws(() => {
+      rendererSettings[0].set('foo', 'qux');
+    }, /foo/);
+  });
+
+  it('should stop serving the settings once disposed', () => {
+    server.dispose();
+
+    assert.throws(() => {
+      rendererSettings[0].get('foo');
+    }, /did not reply/);
+  });
+});
@@ -0,0 +1,71 @@
+/* global it, describe */
+
+const assert = require('assert');
+
+const JSON5 = require('../lib/settings-json5');
+
+describe('settings-json5', () => {
+
+  describe('parse()', () => {
+
+    it('should parse JSON', () => {
+      const value = JSON5.parse('{"foo": {"bar": [1, "baz", true, null]}}');
+
+      assert.deepEqual(value, { foo: { bar: [1, 'baz', true, null] } });
+    });
+
+    it('should allow comments, trailing commas, unquoted keys and single quotes', () => {
+      const value = JSON5.parse("// Comment\n{ foo: 'bar', /* comment */ baz: [1, 2,], }");
+
+      assert.deepEqual(value, { foo: 'bar', baz: [1, 2] });
+    });
+
+    it('should parse hexadecimal numbers and numbers with leading or trailing decimal points', () => {
+      const value = JSON5.parse('[0x10, .5, 5., +1, -2]');
+
+      assert.deepEqual(value, [16, 0.5, 5, 1, -2]);
+    });
+
+    it('should not replace the prototype of objects with "__proto__" keys', () => {
+      const value = JSON5.parse('{ "__proto__": { polluted: true } }');
+
+      assert.equal(value.polluted, undefined);
+      assert.deepEqual(Object.keys(value), ['__proto__']);
+    });
+
+    it('should throw a syntax error if the text is invalid', () => {
+      assert.throws(() => {
+        JSON5.parse('{ foo: }');
+      }, SyntaxError);
+    });
+  });
+
+  describe('stringify()', () => {
+
+    it('should only quote keys that are not identifiers', () => {
+      const text = JSON5.stringify({ foo: 'bar', 'baz-qux': 1 });
+
+      assert.equal(text, '{\n  foo: "bar",\n  "baz-qux": 1\n}\n');
+    });
+  });
+
+  describe('createSerializer()', () => {
+
+    it('should write back the comments of the last parsed contents', () => {
+      const serializer = JSON5.createSerializer();
+      const text = '// Header\n{\n  // Foo\n  foo: 1,\n  bar: [\n    1\n    // End\n  ]\n}\n';
+      const obj = serializer.parse(text);
+
+      assert.equal(serializer.stringify(obj), text);
+    });
+
+    it('should drop the comments of deleted keys', () => {
+      const serializer = JSON5.createSerializer();
+      const obj = serializer.parse('{\n  // Foo\n  foo: 1,\n  bar: 2\n}\n');
+
+      delete obj.foo;
+
+      assert.equal(serializer.stringify(obj), '{\n  bar: 2\n}\n');
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/* global it, describe, beforeEach, afterEach */
+
+const assert = require('assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SettingsLockError } = require('../lib/settings-errors');
+const Lock = require('../lib/settings-lock');
+
+const opts = { timeout: 50, staleAge: 10000 };
+
+describe('settings-lock', () => {
+
+  let dirPath;
+  let lockPath;
+
+  beforeEach('create directory', () => {
+    dirPath = fs.mkdtempSync(path.join(os.tmpdir(), 'settings-'));
+    lockPath = path.join(dirPath, 'Settings.lock');
+  });
+
+  afterEach('delete directory', () => {
+    fs.rmSync(dirPath, { recursive: true, force: true });
+  });
+
+  describe('acquire()', () => {
+
+    it('should create the lockfile until the lock is released', () => {
+      const release = Lock.acquire(lockPath, opts);
+
+      assert.equal(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid, process.pid);
+
+      release();
+
+      assert.equal(fs.existsSync(lockPath), false);
+    });
+
+    it('should throw if the lock is held by a running process', () => {
+      fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, hostname: os.hostname() }));
+
+      assert.throws(() => {
+        Lock.acquire(lockPath, opts);
+      }, err => err instanceof SettingsLockError && err.owner.pid === process.pid);
+    });
+
+    it('should share a lock held by this process until it is released by each holder', () => {
+      const releaseA = Lock.acquire(lockPath, opts);
+      const releaseB = Lock.acquire(lockPath, opts);
+
+      releaseA();
+      releaseA();
+
+      assert.equal(fs.existsSync(lockPath), true);
+
+      releaseB();
+
+      assert.equal(fs.existsSync(lockPath), false);
+    });
+
+    it('should break a lock held by a process that has exited', () => {
+      const { pid } = childProcess.spawnSync(process.execPath, ['-e', '']);
+
+      fs.writeFileSync(lockPath, JSON.stringify({ pid, hostname: os.hostname() }));
+
+      const release = Lock.acquire(lockPath, opts);
+
+      assert.equal(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid, process.pid);
+
+      release();
+    });
+
+    it('should break a lock that is older than the stale age', () => {
+      const time = new Date(Date.now() - 60000);
+
+      fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, hostname: os.hostname() }));
+      fs.utimesSync(lockPath, time, time);
+
+      Lock.acquire(lockPath, opts)();
+    });
+
+    it('should not delete a lock that has been acquired by another process', () => {
+      const release = Lock.acquire(lockPath, opts);
+
+      fs.writeFileSync(lockPath, JSON.stringify({ pid: 1, hostname: 'other' }));
+      release();
+
+      assert.equal(fs.existsSync(lockPath), true);
+    });
+  });
+
+  describe('acquireAsync()', () => {
+
+    it('should wait for the lock to be released', () => {
+      fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, hostname: os.hostname() }));
+
+      setTimeout(() => fs.unlinkSync(lockPath), 20);
+
+      return Lock.acquireAsync(lockPath, { timeout: 1000, staleAge: 10000 }).then(release => {
+        release();
+      });
+    });
+
+    it('should wait for a lock held by this process to be released', () => {
+      const release = Lock.acquire(lockPath, opts);
+
+      setTimeout(release, 20);
+
+      return Lock.acquireAsync(lockPath, { timeout: 10000, staleAge: 10000 }).then(release => {
+        assert.equal(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid, process.pid);
+
+        release();
+
+        assert.equal(fs.existsSync(lockPath), false);
+      });
+    });
+
+    it('should reject if the lock is not released in time', () => {
+      const release = Lock.acquire(lockPath, opts);
+
+      return Lock.acquireAsync(lockPath, opts).then(() => {
+        throw new Error('The lock was acquired.');
+      }, err => {
+        release();
+
+        assert.ok(err instanceof SettingsLockError);
+      });
+    });
+  });
+});
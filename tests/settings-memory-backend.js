@@ -0,0 +1,36 @@
+/* global it, describe */
+
+const assert = require('assert');
+
+const MemoryBackend = require('../lib/settings-memory-backend');
+
+describe('settings-memory-backend', () => {
+
+  describe('read()', () => {
+
+    it('should return null if no settings have been stored', () => {
+      const backend = new MemoryBackend();
+
+      assert.equal(backend.read(), null);
+    });
+
+    it('should return the initial settings', () => {
+      const backend = new MemoryBackend({ foo: 'bar' });
+
+      assert.deepEqual(backend.read(), { foo: 'bar' });
+    });
+  });
+
+  describe('write()', () => {
+
+    it('should store a copy of the settings', () => {
+      const backend = new MemoryBackend();
+      const obj = { foo: { bar: 'baz' } };
+
+      backend.write(obj);
+      obj.foo.bar = 'qux';
+
+      assert.deepEqual(backend.read(), { foo: { bar: 'baz' } });
+    });
+  });
+});
@@ -0,0 +1,51 @@
+/* global it, describe */
+
+const assert = require('assert');
+
+const migrations = require('../lib/settings-migrations');
+
+describe('settings-migrations', () => {
+
+  describe('compareVersions()', () => {
+
+    it('should compare release versions', () => {
+      assert.ok(migrations.compareVersions('1.2.3', '1.10.0') < 0);
+      assert.ok(migrations.compareVersions('2.0.0', '1.10.0') > 0);
+      assert.equal(migrations.compareVersions('1.2.3', 'v1.2.3'), 0);
+    });
+
+    it('should give prerelease versions lower precedence', () => {
+      assert.ok(migrations.compareVersions('1.0.0-beta', '1.0.0') < 0);
+      assert.ok(migrations.compareVersions('1.0.0-beta.2', '1.0.0-beta.11') < 0);
+      assert.ok(migrations.compareVersions('1.0.0-alpha', '1.0.0-alpha.1') < 0);
+    });
+
+    it('should throw if a version is invalid', () => {
+      assert.throws(() => {
+        migrations.compareVersions('1.0', '1.0.0');
+      }, /Invalid version/);
+    });
+  });
+
+  describe('getPendingVersions()', () => {
+
+    const fns = {
+      '1.10.0': () => {},
+      '1.2.0': () => {},
+      '2.0.0': () => {},
+      '3.0.0': () => {}
+    };
+
+    it('should return the versions after the last version up to the current version', () => {
+      const versions = migrations.getPendingVersions(fns, '1.2.0', '2.0.0');
+
+      assert.deepEqual(versions, ['1.10.0', '2.0.0']);
+    });
+
+    it('should return all versions up to the current version if there is no last version', () => {
+      const versions = migrations.getPendingVersions(fns, undefined, '2.5.0');
+
+      assert.deepEqual(versions, ['1.2.0', '1.10.0', '2.0.0']);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/* global it, describe */
+
+const assert = require('assert');
+
+const schema = require('../lib/settings-schema');
+
+describe('settings-schema', () => {
+
+  describe('validate()', () => {
+
+    it('should return an empty array if the object is valid', () => {
+      const errors = schema.validate({
+        type: 'object',
+        properties: {
+          foo: { type: 'string' }
+        }
+      }, { foo: 'bar' });
+
+      assert.deepEqual(errors, []);
+    });
+
+    it('should return the key path of an invalid value', () => {
+      const errors = schema.validate({
+        type: 'object',
+        properties: {
+          foo: {
+            type: 'object',
+            properties: {
+              bar: { type: 'number' }
+            }
+          }
+        }
+      }, { foo: { bar: 'baz' } });
+
+      assert.equal(errors.length, 1);
+      assert.equal(errors[0].keyPath, 'foo.bar');
+    });
+
+    it('should return every violation', () => {
+      const errors = schema.validate({
+        type: 'object',
+        required: ['qux'],
+        properties: {
+          foo: { type: 'string', enum: ['bar', 'baz'] },
+          snap: { type: 'integer', minimum: 0 }
+        }
+      }, { foo: 'crackle', snap: -1 });
+
+      assert.deepEqual(errors.map(err => err.keyPath), ['', 'foo', 'snap']);
+    });
+
+    it('should validate array items', () => {
+      const errors = schema.validate({
+        type: 'object',
+        properties: {
+          foo: { type: 'array', items: { type: 'string' } }
+        }
+      }, { foo: ['bar', 1] });
+
+      assert.equal(errors.length, 1);
+      assert.equal(errors[0].keyPath, 'foo[1]');
+    });
+
+    it('should disallow additional properties', () => {
+      const errors = schema.validate({
+        type: 'object',
+        additionalProperties: false
+      }, { foo: 'bar' });
+
+      assert.equal(errors.length, 1);
+      assert.equal(errors[0].keyPath, 'foo');
+    });
+
+    it('should resolve local references', () => {
+      const errors = schema.validate({
+        definitions: {
+          color: { type: 'string', pattern: '^#[0-9a-f]{6}$' }
+        },
+        properties: {
+          foo: { $ref: '#/definitions/color' }
+        }
+      }, { foo: 'red' });
+
+      assert.equal(errors.length, 1);
+      assert.equal(errors[0].keyPath, 'foo');
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/* global it, describe */
+
+const assert = require('assert');
+
+const YAML = require('../lib/settings-yaml');
+
+describe('settings-yaml', () => {
+
+  describe('parse()', () => {
+
+    it('should parse block mappings and sequences', () => {
+      const value = YAML.parse('foo:\n  bar:\n  - baz\n  - qux: 1\n    quux: 2\n');
+
+      assert.deepEqual(value, { foo: { bar: ['baz', { qux: 1, quux: 2 }] } });
+    });
+
+    it('should parse scalars', () => {
+      const value = YAML.parse("a: 1.5\nb: true\nc: ~\nd: 'it''s'\ne: \"x\\ty\"\nf: plain text\n");
+
+      assert.deepEqual(value, {
+        a: 1.5,
+        b: true,
+        c: null,
+        d: 'it\'s',
+        e: 'x\ty',
+        f: 'plain text'
+      });
+    });
+
+    it('should parse flow collections', () => {
+      const value = YAML.parse('foo: [1, 2]\nbar: {baz: "qux"}\n');
+
+      assert.deepEqual(value, { foo: [1, 2], bar: { baz: 'qux' } });
+    });
+
+    it('should ignore comments', () => {
+      const value = YAML.parse('# Comment\nfoo: bar # Comment\nbaz: "# not a comment"\n');
+
+      assert.deepEqual(value, { foo: 'bar', baz: '# not a comment' });
+    });
+
+    it('should not replace the prototype of mappings with "__proto__" keys', () => {
+      const value = YAML.parse('__proto__:\n  polluted: true\n');
+
+      assert.equal(value.polluted, undefined);
+      assert.deepEqual(Object.keys(value), ['__proto__']);
+    });
+
+    it('should throw a syntax error if the indentation is invalid', () => {
+      assert.throws(() => {
+        YAML.parse('foo: 1\n  bar: 2\n');
+      }, SyntaxError);
+    });
+  });
+
+  describe('stringify()', () => {
+
+    it('should stringify values that can be parsed back', () => {
+      const obj = {
+        foo: { bar: ['baz', { qux: [1, 2] }, [true, null]] },
+        empty: { obj: {}, arr: [] },
+        strings: ['yes', '123', 'a: b', '', 'two words']
+      };
+
+      assert.deepEqual(YAML.parse(YAML.stringify(obj)), obj);
+    });
+
+    it('should quote strings that would be read back as other types', () => {
+      const text = YAML.stringify({ foo: 'true', bar: '1' });
+
+      assert.equal(text, 'foo: "true"\nbar: "1"\n');
+    });
+  });
+});
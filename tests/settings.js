@@ -3,6 +3,7 @@
 const assert = require('assert');
 const electron = require('electron');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const randomstring = require('randomstring');
 
@@ -10,6 +11,13 @@ const app = electron.app || electron.remote.app;
 
 const settings = require('../');
 
+const {
+  SettingsDecryptionError,
+  SettingsKeyPathError,
+  SettingsLockError,
+  SettingsValidationError
+} = settings;
+
 describe('settings', () => {
 
   beforeEach('reset settings', () => {
@@ -103,6 +111,15 @@ describe('settings', () => {
         assert.deepEqual(value, { bar: 'qux' });
       });
 
+      it('should not leave temporary files behind', () => {
+        settings.set('foo.bar', 'qux');
+
+        const dirPath = path.dirname(settings.file());
+        const tempFiles = fs.readdirSync(dirPath).filter(file => /\.tmp$/.test(file));
+
+        assert.deepEqual(tempFiles, []);
+      });
+
       it('should set the value at the given complex key path', () => {
         settings.set('foo.bar', 'qux');
 
@@ -118,6 +135,76 @@ describe('settings', () => {
 
         assert.equal(value, 'qux');
       });
+
+      it('should set the value at a key path with a key that contains dots', () => {
+        settings.set('hosts.example\\.com', 'foo');
+
+        assert.deepEqual(settings.get('hosts'), { 'example.com': 'foo' });
+        assert.equal(settings.get("hosts['example.com']"), 'foo');
+        assert.equal(settings.get(['hosts', 'example.com']), 'foo');
+      });
+
+      it('should set the value at a key path with an empty key', () => {
+        settings.set(['', 'a'], 1);
+
+        assert.deepEqual(settings.getAll(), { foo: { bar: 'baz' }, '': { a: 1 } });
+
+        settings.set([''], 'qux');
+        settings.set(['snap', ''], 'crackle');
+
+        assert.deepEqual(settings.getAll(), { foo: { bar: 'baz' }, '': 'qux', snap: { '': 'crackle' } });
+      });
+
+      it('should set the value at a key path with an array index', () => {
+        settings.set('servers', [{ host: 'foo' }]);
+        settings.set('servers[0].host', 'bar');
+
+        assert.deepEqual(settings.get('servers'), [{ host: 'bar' }]);
+      });
+
+      it('should throw a SettingsKeyPathError if the key path is unsafe', () => {
+        assert.throws(() => {
+          settings.set('__proto__.polluted', true);
+        }, SettingsKeyPathError);
+
+        assert.equal({}.polluted, undefined);
+      });
+
+      it('should throw a SettingsKeyPathError instead of setting a value within a primitive', () => {
+        settings.set('foo', 'bar');
+
+        assert.throws(() => {
+          settings.set('foo.baz', 'qux');
+        }, SettingsKeyPathError);
+
+        assert.equal(settings.get('foo'), 'bar');
+      });
+
+      it('should replace a primitive with an object if overwrite is set', () => {
+        settings.set('foo', 'bar');
+        settings.set('foo.name', settings.get('foo'), { overwrite: true });
+
+        assert.deepEqual(settings.get('foo'), { name: 'bar' });
+      });
+
+      it('should not be polluted by the stored settings', () => {
+        const { Settings, SettingsMemoryBackend } = settings;
+        const obj = JSON.parse('{"__proto__": {"polluted": true}, "foo": "bar"}');
+        const memorySettings = new Settings({ backend: new SettingsMemoryBackend(obj) });
+
+        assert.deepEqual(memorySettings.getAll(), { foo: 'bar' });
+        assert.equal({}.polluted, undefined);
+      });
+
+      it('should throw if the key path is invalid', () => {
+        assert.throws(() => {
+          settings.set('servers[0', 'foo');
+        }, SyntaxError);
+
+        assert.throws(() => {
+          settings.set(['foo', {}], 'bar');
+        }, /First parameter/);
+      });
     });
 
     describe('setAll()', () => {
@@ -206,90 +293,2018 @@ describe('settings', () => {
       });
     });
 
-    describe('watch()', () => {
+    describe('setDefaults()', () => {
 
-      it('should invoke the watch handler with the proper context', done => {
-        settings.watch('foo.bar', function handler() {
-          assert.doesNotThrow(() => {
-            this.dispose();
-            done();
-          });
+      beforeEach('set defaults', () => {
+        settings.setDefaults({
+          foo: {
+            qux: 'quux'
+          },
+          snap: 'crackle'
         });
+      });
 
-        settings.set('foo.bar', 'qux');
+      afterEach('clear defaults', () => {
+        settings.setDefaults({});
       });
 
-      it('should watch the given simple key path', done => {
-        settings.watch('foo', function handler(newValue, oldValue) {
-          assert.deepEqual(oldValue, { bar: 'baz' });
-          assert.deepEqual(newValue, { bar: 'qux' });
+      it('should return the settings instance', done => {
+        assert.doesNotThrow(() => {
+          settings.setDefaults({}).has('foo');
+          done();
+        });
+      });
+
+      it('should merge the defaults under the settings', () => {
+        assert.equal(settings.get('snap'), 'crackle');
+        assert.deepEqual(settings.get('foo'), { bar: 'baz', qux: 'quux' });
+        assert.deepEqual(settings.getAll(), { foo: { bar: 'baz', qux: 'quux' }, snap: 'crackle' });
+      });
+
+      it('should prefer values that have been set', () => {
+        settings.set('snap', 'pop');
+
+        assert.equal(settings.get('snap'), 'pop');
+      });
+
+      it('should not write the defaults to the disk', () => {
+        settings.get('snap', 'pop');
+
+        const obj = JSON.parse(fs.readFileSync(settings.file()));
+
+        assert.deepEqual(obj, { foo: { bar: 'baz' } });
+      });
+
+      it('should tell values that have been set apart from defaults', () => {
+        assert.equal(settings.has('snap'), true);
+        assert.equal(settings.has('snap', { defaults: false }), false);
+        assert.equal(settings.has('foo.bar', { defaults: false }), true);
+        assert.deepEqual(settings.getAll({ defaults: false }), { foo: { bar: 'baz' } });
+      });
+
+      it('should return the defaults', () => {
+        assert.deepEqual(settings.getDefaults(), { foo: { qux: 'quux' }, snap: 'crackle' });
+      });
+
+      it('should notify key path observers', done => {
+        settings.watch('snap', function handler(newValue, oldValue) {
+          assert.equal(oldValue, 'crackle');
+          assert.equal(newValue, 'pop');
 
           this.dispose();
 
           done();
         });
 
-        settings.set('foo', { bar: 'qux' });
+        settings.setDefaults({ snap: 'pop' });
       });
+    });
 
-      it('should watch the given complex key path', done => {
-        settings.watch('foo.bar', function handler(newValue, oldValue) {
-          assert.deepEqual(oldValue, 'baz');
-          assert.deepEqual(newValue, 'qux');
+    describe('reset()', () => {
 
-          this.dispose();
+      afterEach('clear defaults', () => {
+        settings.setDefaults({});
+      });
 
+      it('should return the settings instance', done => {
+        assert.doesNotThrow(() => {
+          settings.reset('foo').has('foo');
           done();
         });
+      });
 
-        settings.set('foo.bar', 'qux');
+      it('should reset the value at the given key path to its default', () => {
+        settings.setDefaults({ foo: { bar: 'qux' } });
+        settings.reset('foo.bar');
+
+        assert.equal(settings.get('foo.bar'), 'qux');
+        assert.equal(settings.has('foo.bar', { defaults: false }), false);
       });
+    });
 
-      it('should watch for changes not made by electron-settings', done => {
-        settings.watch('foo.bar', function handler(newValue, oldValue) {
-          assert.deepEqual(oldValue, 'baz');
-          assert.deepEqual(newValue, 'qux');
+    describe('transaction()', () => {
 
-          this.dispose();
+      it('should return the settings instance', done => {
+        assert.doesNotThrow(() => {
+          settings.transaction(() => {}).has('foo');
+          done();
+        });
+      });
+
+      it('should apply all changes made in the transaction', () => {
+        settings.transaction(tx => {
+          tx.set('foo.bar', 'qux');
+          tx.set('snap', 'crackle');
+          tx.delete('foo.bar');
+        });
+
+        assert.deepEqual(settings.getAll(), { foo: {}, snap: 'crackle' });
+      });
+
+      it('should read changes made earlier in the transaction', () => {
+        settings.transaction(tx => {
+          tx.set('foo.bar', 'qux');
+
+          assert.equal(tx.get('foo.bar'), 'qux');
+          assert.equal(settings.get('foo.bar'), 'baz');
+        });
+      });
+
+      it('should read the defaults without writing them', () => {
+        settings.setDefaults({ theme: 'dark', foo: { qux: 'quux' } });
+
+        try {
+          settings.transaction(tx => {
+            assert.equal(tx.get('theme'), 'dark');
+            assert.equal(tx.has('foo.qux'), true);
+            assert.deepEqual(tx.getAll(), { foo: { bar: 'baz', qux: 'quux' }, theme: 'dark' });
+
+            tx.set('theme', 'light');
+            tx.delete('theme');
+
+            assert.equal(tx.get('theme'), 'dark');
+
+            tx.set('snap', 'crackle');
+          });
+        } finally {
+          settings.setDefaults({});
+        }
+
+        assert.deepEqual(JSON.parse(fs.readFileSync(settings.file())), {
+          foo: { bar: 'baz' },
+          snap: 'crackle'
+        });
+      });
+
+      it('should not apply any changes if the transaction throws', () => {
+        assert.throws(() => {
+          settings.transaction(tx => {
+            tx.set('foo.bar', 'qux');
+
+            throw new Error('Oops');
+          });
+        }, /Oops/);
+
+        assert.deepEqual(settings.getAll(), { foo: { bar: 'baz' } });
+      });
+
+      it('should emit a single change event', done => {
+        let changeCount = 0;
 
+        const handleChange = () => {
+          changeCount += 1;
+        };
+
+        settings.on('change', handleChange);
+        settings.transaction(tx => {
+          tx.set('foo.bar', 'qux');
+          tx.set('foo.baz', 'qux');
+          tx.set('snap', 'crackle');
+        });
+
+        setTimeout(() => {
+          settings.removeListener('change', handleChange);
+
+          assert.equal(changeCount, 1);
           done();
+        }, 50);
+      });
+
+      it('should not allow the transaction to be used after it has ended', () => {
+        let transaction;
+
+        settings.transaction(tx => {
+          transaction = tx;
         });
 
-        fs.writeFileSync(settings.file(), JSON.stringify({ foo: { bar: 'qux' } }));
+        assert.throws(() => {
+          transaction.set('foo.bar', 'qux');
+        }, /ended/);
       });
+    });
 
-      it('should return undefined if the watched key path is deleted', done => {
-        settings.watch('foo.bar', function handler(newValue, oldValue) {
-          assert.equal(oldValue, 'baz');
-          assert.equal(newValue, undefined);
+    describe('merge()', () => {
 
-          this.dispose();
+      it('should return the settings instance', () => {
+        assert.equal(settings.merge('foo', {}), settings);
+      });
+
+      it('should deeply merge the object into the value at the key path', () => {
+        settings.set('foo', { bar: 'baz', snap: { crackle: 'pop', tags: ['a'] } });
+        settings.merge('foo', { snap: { crackle: 'boom', tags: ['b'] } });
 
+        assert.deepEqual(settings.get('foo'), {
+          bar: 'baz',
+          snap: { crackle: 'boom', tags: ['b'] }
+        });
+      });
+
+      it('should concatenate arrays if asked to', () => {
+        settings.set('foo', { tags: ['a'] });
+        settings.merge('foo', { tags: ['b'] }, {
+          arrays: settings.Settings.ArrayMergeStrategies.CONCAT
+        });
+
+        assert.deepEqual(settings.get('foo.tags'), ['a', 'b']);
+      });
+
+      it('should merge into the entire settings object given an empty key path', () => {
+        settings.merge('', { foo: { qux: 'quux' }, snap: 'crackle' });
+
+        assert.deepEqual(settings.getAll(), { foo: { bar: 'baz', qux: 'quux' }, snap: 'crackle' });
+      });
+
+      it('should replace values that are not objects', () => {
+        settings.set('foo', 'bar');
+        settings.merge('foo', { qux: 'quux' });
+
+        assert.deepEqual(settings.get('foo'), { qux: 'quux' });
+      });
+
+      it('should only emit changes for the keys that changed', done => {
+        settings.set('foo', { bar: 'baz', qux: 'quux' });
+        settings.get('foo');
+        settings.once('change', changes => {
+          assert.deepEqual(changes, [
+            {
+              keyPath: 'foo.qux',
+              oldValue: 'quux',
+              newValue: 'corge',
+              source: 'internal'
+            }
+          ]);
           done();
         });
 
-        settings.delete('foo.bar');
+        settings.merge('foo', { bar: 'baz', qux: 'corge' });
       });
 
-      it('should dispose the key path watcher', done => {
-        const observer = settings.watch('foo', () => {
-          throw Error('Observer was not disposed.');
+      it('should replace secrets as a whole instead of merging into them', () => {
+        settings.configure({ secretKey: 'secret' });
+
+        try {
+          settings.setSecret('auth.token', 'hunter2');
+          settings.merge('auth', { user: 'cosmo' });
+
+          assert.equal(settings.get('auth.token'), 'hunter2');
+
+          settings.merge('auth', { token: { extra: 1 } });
+
+          assert.deepEqual(settings.get('auth'), { token: { extra: 1 }, user: 'cosmo' });
+        } finally {
+          settings.configure({ secretKey: null });
+        }
+      });
+
+      it('should throw if the array merge strategy is invalid', () => {
+        assert.throws(() => {
+          settings.merge('foo', {}, { arrays: 'zip' });
+        }, /`arrays` must be one of/);
+      });
+    });
+
+    describe('push()', () => {
+
+      it('should append the items to the array at the key path', () => {
+        settings.push('recent', 'foo').push('recent', 'bar', ['baz']);
+
+        assert.deepEqual(settings.get('recent'), ['foo', 'bar', ['baz']]);
+      });
+
+      it('should remove the oldest items if the array is longer than the maximum length', () => {
+        settings.set('recent', ['foo', 'bar']);
+        settings.pushWith('recent', ['baz', 'qux'], { maxLength: 3 });
+
+        assert.deepEqual(settings.get('recent'), ['bar', 'baz', 'qux']);
+      });
+
+      it('should append items in a transaction', () => {
+        settings.transaction(tx => {
+          tx.push('recent', 'foo', 'bar').pushWith('recent', ['baz'], { maxLength: 2 });
         });
 
-        observer.dispose();
-        settings.set('foo', 'baz');
+        assert.deepEqual(settings.get('recent'), ['bar', 'baz']);
+      });
 
-        setTimeout(done, 100);
+      it('should not overwrite items pushed by another process', () => {
+        settings.get('foo');
+
+        // The settings file watcher has not reported this change yet.
+        fs.writeFileSync(settings.file(), JSON.stringify({
+          foo: { bar: 'baz' },
+          recent: ['foo']
+        }));
+
+        settings.push('recent', 'bar');
+
+        assert.deepEqual(settings.get('recent'), ['foo', 'bar']);
+      });
+
+      it('should append the items to the default array', () => {
+        settings.setDefaults({ recent: ['foo'] });
+
+        try {
+          settings.push('recent', 'bar');
+
+          assert.deepEqual(settings.get('recent'), ['foo', 'bar']);
+        } finally {
+          settings.setDefaults({});
+        }
+      });
+
+      it('should throw a SettingsKeyPathError if the value is not an array', () => {
+        assert.throws(() => {
+          settings.push('foo.bar', 'qux');
+        }, SettingsKeyPathError);
       });
     });
 
-    describe('file()', () => {
+    describe('pull()', () => {
 
-      it('should return the path to the settings file', () => {
-        const userDataPath = app.getPath('userData');
-        const settingsFilePath = path.join(userDataPath, 'Settings');
+      it('should remove the items matching the predicate', () => {
+        settings.set('recent', ['foo', 'bar', 'baz']);
+        settings.pull('recent', item => item.startsWith('b'));
 
-        assert.equal(settings.file(), settingsFilePath);
+        assert.deepEqual(settings.get('recent'), ['foo']);
+      });
+
+      it('should not write the settings if no items match', () => {
+        const { Settings, SettingsMemoryBackend } = settings;
+        const backend = new SettingsMemoryBackend({ recent: ['foo'] });
+        const memorySettings = new Settings({ backend });
+        let writeCount = 0;
+
+        backend.write = () => {
+          writeCount += 1;
+        };
+
+        memorySettings.pull('recent', item => item === 'bar');
+        memorySettings.pull('snap', () => true);
+
+        assert.equal(writeCount, 0);
+      });
+    });
+
+    describe('update()', () => {
+
+      it('should set the value to the value returned by the function', () => {
+        settings.set('count', 1);
+        settings.update('count', count => count + 1);
+
+        assert.equal(settings.get('count'), 2);
+      });
+
+      it('should pass a copy of the value to the function', () => {
+        settings.update('foo', foo => {
+          foo.bar = 'qux';
+
+          return undefined;
+        });
+
+        assert.equal(settings.has('foo'), false);
+      });
+
+      it('should pass the default value to the function', () => {
+        settings.setDefaults({ count: 5 });
+
+        try {
+          settings.update('count', count => (count || 0) + 1);
+
+          assert.equal(settings.get('count'), 6);
+        } finally {
+          settings.setDefaults({});
+        }
+      });
+
+      it('should pass secrets revealed and encrypt them again', () => {
+        settings.configure({ secretKey: 'secret' });
+
+        try {
+          settings.setSecret('auth.token', 'hunter2');
+          settings.update('auth.token', token => token.toUpperCase());
+          settings.update('auth', auth => Object.assign(auth, { user: 'cosmo' }));
+
+          assert.deepEqual(settings.get('auth'), { token: 'HUNTER2', user: 'cosmo' });
+          assert.deepEqual(settings.getAll().auth, { token: '[REDACTED]', user: 'cosmo' });
+        } finally {
+          settings.configure({ secretKey: null });
+        }
+      });
+
+      it('should not write the settings if the function throws', () => {
+        assert.throws(() => {
+          settings.update('foo.bar', () => {
+            throw new Error('Oops');
+          });
+        }, /Oops/);
+
+        assert.equal(settings.get('foo.bar'), 'baz');
+      });
+    });
+
+    describe('history', () => {
+
+      let historySettings;
+
+      beforeEach('create settings', () => {
+        const { Settings, SettingsMemoryBackend } = settings;
+
+        historySettings = new Settings({
+          backend: new SettingsMemoryBackend({ foo: { bar: 'baz' } }),
+          history: true
+        });
+      });
+
+      it('should undo and redo changes', () => {
+        historySettings.set('foo.bar', 'qux');
+        historySettings.delete('foo.bar');
+
+        assert.equal(historySettings.undo(), true);
+        assert.equal(historySettings.get('foo.bar'), 'qux');
+        assert.equal(historySettings.undo(), true);
+        assert.equal(historySettings.get('foo.bar'), 'baz');
+        assert.equal(historySettings.undo(), false);
+
+        assert.equal(historySettings.redo(), true);
+        assert.equal(historySettings.get('foo.bar'), 'qux');
+        assert.equal(historySettings.redo(), true);
+        assert.equal(historySettings.has('foo.bar'), false);
+        assert.equal(historySettings.redo(), false);
+      });
+
+      it('should undo transactions and other changes to many key paths', () => {
+        historySettings.push('recent', 'foo');
+        historySettings.merge('', { snap: 'crackle' });
+        historySettings.undo();
+        historySettings.undo();
+
+        assert.deepEqual(historySettings.getAll(), { foo: { bar: 'baz' } });
+      });
+
+      it('should record default values stored by getAsync()', () => (
+        historySettings.getAsync('snap', 'crackle').then(() => {
+          assert.equal(historySettings.getHistory().length, 1);
+          assert.equal(historySettings.undo(), true);
+          assert.equal(historySettings.has('snap'), false);
+        })
+      ));
+
+      it('should not redo changes once a new change is made', () => {
+        historySettings.set('foo.bar', 'qux');
+        historySettings.undo();
+        historySettings.set('snap', 'crackle');
+
+        assert.equal(historySettings.redo(), false);
+        assert.deepEqual(historySettings.getAll(), { foo: { bar: 'baz' }, snap: 'crackle' });
+      });
+
+      it('should emit change events', done => {
+        historySettings.set('foo.bar', 'qux');
+        historySettings.get('foo');
+        historySettings.once('change', changes => {
+          assert.deepEqual(changes, [
+            {
+              keyPath: 'foo.bar',
+              oldValue: 'qux',
+              newValue: 'baz',
+              source: 'internal'
+            }
+          ]);
+          done();
+        });
+
+        historySettings.undo();
+      });
+
+      it('should return the changes that can be undone', () => {
+        historySettings.set('foo.bar', 'qux');
+        historySettings.set('foo.bar', 'qux');
+        historySettings.set('snap', 'crackle');
+        historySettings.undo();
+
+        const history = historySettings.getHistory();
+
+        assert.equal(history.length, 1);
+        assert.equal(history[0].keyPath, 'foo.bar');
+        assert.equal(history[0].oldValue, 'baz');
+        assert.equal(history[0].newValue, 'qux');
+        assert.equal(typeof history[0].timestamp, 'number');
+      });
+
+      it('should forget the oldest changes once the history limit is reached', () => {
+        historySettings.configure({ historyLimit: 2 });
+
+        for (let i = 1; i <= 3; i++) {
+          historySettings.set('count', i);
+        }
+
+        while (historySettings.undo()) {
+          // Undo all changes.
+        }
+
+        assert.equal(historySettings.get('count'), 1);
+      });
+
+      it('should not record changes unless the history is enabled', () => {
+        historySettings.configure({ history: false });
+        historySettings.set('foo.bar', 'qux');
+
+        assert.equal(historySettings.undo(), false);
+      });
+
+      it('should revert to a checkpoint', () => {
+        historySettings.checkpoint('open');
+        historySettings.set('foo.bar', 'qux');
+        historySettings.set('snap', 'crackle');
+        historySettings.revertTo('open');
+
+        assert.deepEqual(historySettings.getAll(), { foo: { bar: 'baz' } });
+
+        historySettings.undo();
+
+        assert.deepEqual(historySettings.getAll(), { foo: { bar: 'qux' }, snap: 'crackle' });
+      });
+
+      it('should throw if there is no checkpoint with the given name', () => {
+        assert.throws(() => {
+          historySettings.revertTo('open');
+        }, /no checkpoint named "open"/);
+      });
+    });
+
+    describe('migrate()', () => {
+
+      it('should return the settings instance', done => {
+        assert.doesNotThrow(() => {
+          settings.migrate({}, { version: '1.0.0' }).has('foo');
+          done();
+        });
+      });
+
+      it('should run pending migrations in order', () => {
+        const versions = [];
+
+        settings.migrate({
+          '1.10.0': s => {
+            versions.push('1.10.0');
+            s.set('foo.qux', s.get('foo.bar'));
+          },
+          '1.2.0': () => {
+            versions.push('1.2.0');
+          },
+          '2.0.0': () => {
+            versions.push('2.0.0');
+          }
+        }, { version: '1.10.0' });
+
+        assert.deepEqual(versions, ['1.2.0', '1.10.0']);
+        assert.equal(settings.get('foo.qux'), 'baz');
+      });
+
+      it('should replace a primitive with an object in a migration if overwrite is set', () => {
+        settings.set('theme', 'dark');
+        settings.migrate({
+          '2.0.0': s => {
+            s.set('theme.name', s.get('theme'), { overwrite: true });
+          }
+        }, { version: '2.0.0' });
+
+        assert.deepEqual(settings.get('theme'), { name: 'dark' });
+      });
+
+      it('should not run migrations that have already been run', () => {
+        let count = 0;
+
+        const migrations = {
+          '1.0.0': () => {
+            count += 1;
+          }
+        };
+
+        settings.migrate(migrations, { version: '1.0.0' });
+        settings.migrate(migrations, { version: '1.1.0' });
+
+        assert.equal(count, 1);
+      });
+
+      it('should not run migrations again after a downgrade and upgrade', () => {
+        let count = 0;
+
+        const migrations = {
+          '2.0.0': () => {
+            count += 1;
+          }
+        };
+
+        settings.migrate(migrations, { version: '2.0.0' });
+        settings.migrate(migrations, { version: '1.5.0' });
+        settings.migrate(migrations, { version: '2.0.0' });
+
+        assert.equal(count, 1);
+        assert.equal(JSON.parse(fs.readFileSync(settings.file())).__internal__.migratedVersion, '2.0.0');
+      });
+
+      it('should not apply any changes if a migration throws', () => {
+        assert.throws(() => {
+          settings.migrate({
+            '1.0.0': s => {
+              s.set('foo.bar', 'qux');
+            },
+            '1.1.0': () => {
+              throw new Error('Oops');
+            }
+          }, { version: '1.1.0' });
+        }, /Oops/);
+
+        assert.equal(settings.get('foo.bar'), 'baz');
+        assert.equal(JSON.parse(fs.readFileSync(settings.file())).__internal__, undefined);
+      });
+
+      it('should keep the last migrated version out of the settings', () => {
+        settings.migrate({}, { version: '1.0.0' });
+        settings.setAll({ snap: 'crackle' });
+
+        assert.deepEqual(settings.getAll(), { snap: 'crackle' });
+        assert.equal(JSON.parse(fs.readFileSync(settings.file())).__internal__.migratedVersion, '1.0.0');
+      });
+    });
+
+    describe('hasAsync()', () => {
+
+      it('should resolve true if the key path exists', async () => {
+        const keyExists = await settings.hasAsync('foo');
+
+        assert.equal(keyExists, true);
+      });
+
+      it('should resolve false if the key path does not exist', async () => {
+        const keyExists = await settings.hasAsync('qux');
+
+        assert.equal(keyExists, false);
+      });
+    });
+
+    describe('getAsync()', () => {
+
+      it('should resolve the value at the given complex key path', async () => {
+        const value = await settings.getAsync('foo.bar');
+
+        assert.equal(value, 'baz');
+      });
+
+      it('should resolve the default value if the given key path does not exist', async () => {
+        const value = await settings.getAsync('snap', 'crackle');
+
+        assert.equal(value, 'crackle');
+        assert.equal(settings.get('snap'), 'crackle');
+      });
+    });
+
+    describe('getAllAsync()', () => {
+
+      it('should resolve the entire settings object', async () => {
+        const obj = await settings.getAllAsync();
+
+        assert.deepEqual(obj, { foo: { bar: 'baz' } });
+      });
+    });
+
+    describe('setAsync()', () => {
+
+      it('should set the value at the given complex key path', async () => {
+        await settings.setAsync('foo.bar', 'qux');
+
+        assert.equal(settings.get('foo.bar'), 'qux');
+      });
+
+      it('should apply concurrent writes in order', async () => {
+        await Promise.all([
+          settings.setAsync('foo.bar', 'qux'),
+          settings.setAsync('foo.baz', 'qux'),
+          settings.setAsync('foo.bar', 'quux')
+        ]);
+
+        const obj = JSON.parse(fs.readFileSync(settings.file()));
+
+        assert.deepEqual(obj, { foo: { bar: 'quux', baz: 'qux' } });
+      });
+
+      it('should notify key path observers', done => {
+        settings.watch('foo.bar', function handler(newValue) {
+          assert.equal(newValue, 'qux');
+
+          this.dispose();
+
+          done();
+        });
+
+        settings.setAsync('foo.bar', 'qux');
+      });
+
+      it('should keep values set synchronously in the meantime', async () => {
+        const { Settings } = settings;
+        const dirPath = fs.mkdtempSync(path.join(os.tmpdir(), 'settings-'));
+        const filePath = path.join(dirPath, 'Settings');
+        const store = new Settings().setPath(filePath);
+
+        await Promise.all([
+          store.setAsync('foo', 'bar'),
+          new Promise(resolve => {
+            setImmediate(() => {
+              store.set('baz', 'qux');
+              resolve();
+            });
+          })
+        ]);
+
+        assert.deepEqual(store.getAll(), { foo: 'bar', baz: 'qux' });
+        assert.deepEqual(JSON.parse(fs.readFileSync(filePath)), { foo: 'bar', baz: 'qux' });
+
+        fs.rmSync(dirPath, { recursive: true });
+      });
+    });
+
+    describe('setAllAsync()', () => {
+
+      it('should set the entire settings object', async () => {
+        await settings.setAllAsync({ foo: { qux: 'bar' } });
+
+        assert.deepEqual(settings.getAll(), { foo: { qux: 'bar' } });
+      });
+    });
+
+    describe('deleteAsync()', () => {
+
+      it('should delete the value at the given complex key path', async () => {
+        await settings.deleteAsync('foo.bar');
+
+        assert.equal(settings.has('foo.bar'), false);
+      });
+    });
+
+    describe('deleteAllAsync()', () => {
+
+      it('should delete the entire settings object', async () => {
+        await settings.deleteAllAsync();
+
+        assert.deepEqual(settings.getAll(), {});
+      });
+    });
+
+    describe('cache', () => {
+
+      it('should not read the settings file again until it changes', () => {
+        settings.get('foo');
+
+        fs.writeFileSync(settings.file(), JSON.stringify({ foo: { bar: 'qux' } }));
+
+        assert.equal(settings.get('foo.bar'), 'baz');
+      });
+
+      it('should read the settings file again once it changes', done => {
+        settings.once('change', () => {
+          assert.equal(settings.get('foo.bar'), 'qux');
+          done();
+        });
+
+        fs.writeFileSync(settings.file(), JSON.stringify({ foo: { bar: 'qux' } }));
+      });
+
+      it('should not be modified by changes to returned values', () => {
+        const obj = settings.get('foo');
+
+        obj.bar = 'qux';
+
+        assert.equal(settings.get('foo.bar'), 'baz');
+      });
+    });
+
+    describe('watch()', () => {
+
+      it('should invoke the watch handler with the proper context', done => {
+        settings.watch('foo.bar', function handler() {
+          assert.doesNotThrow(() => {
+            this.dispose();
+            done();
+          });
+        });
+
+        settings.set('foo.bar', 'qux');
+      });
+
+      it('should watch the given simple key path', done => {
+        settings.watch('foo', function handler(newValue, oldValue) {
+          assert.deepEqual(oldValue, { bar: 'baz' });
+          assert.deepEqual(newValue, { bar: 'qux' });
+
+          this.dispose();
+
+          done();
+        });
+
+        settings.set('foo', { bar: 'qux' });
+      });
+
+      it('should watch the given complex key path', done => {
+        settings.watch('foo.bar', function handler(newValue, oldValue) {
+          assert.deepEqual(oldValue, 'baz');
+          assert.deepEqual(newValue, 'qux');
+
+          this.dispose();
+
+          done();
+        });
+
+        settings.set('foo.bar', 'qux');
+      });
+
+      it('should watch for changes not made by electron-settings', done => {
+        settings.watch('foo.bar', function handler(newValue, oldValue) {
+          assert.deepEqual(oldValue, 'baz');
+          assert.deepEqual(newValue, 'qux');
+
+          this.dispose();
+
+          done();
+        });
+
+        fs.writeFileSync(settings.file(), JSON.stringify({ foo: { bar: 'qux' } }));
+      });
+
+      it('should return undefined if the watched key path is deleted', done => {
+        settings.watch('foo.bar', function handler(newValue, oldValue) {
+          assert.equal(oldValue, 'baz');
+          assert.equal(newValue, undefined);
+
+          this.dispose();
+
+          done();
+        });
+
+        settings.delete('foo.bar');
+      });
+
+      it('should pass the changed key path to the watch handler', done => {
+        settings.watch('foo.bar', function handler(newValue, oldValue, keyPath) {
+          assert.equal(keyPath, 'foo.bar');
+
+          this.dispose();
+
+          done();
+        });
+
+        settings.set('foo.bar', 'qux');
+      });
+
+      it('should watch the key paths matching a wildcard pattern', () => {
+        const calls = [];
+
+        settings.set('plugins', { a: { enabled: true }, b: { enabled: false } });
+
+        const observer = settings.watch('plugins.*.enabled', (newValue, oldValue, keyPath) => {
+          calls.push([newValue, oldValue, keyPath]);
+        });
+
+        settings.set('plugins.b.enabled', true);
+        settings.set('plugins.a.name', 'A');
+        settings.set('plugins.c', { enabled: true });
+        settings.delete('plugins.a');
+
+        observer.dispose();
+
+        assert.deepEqual(calls, [
+          [true, false, 'plugins.b.enabled'],
+          [true, undefined, 'plugins.c.enabled'],
+          [undefined, true, 'plugins.a.enabled']
+        ]);
+      });
+
+      it('should watch the key paths matching a globstar pattern', () => {
+        const calls = [];
+
+        const observer = settings.watch('foo.**', (newValue, oldValue, keyPath) => {
+          calls.push([newValue, oldValue, keyPath]);
+        });
+
+        settings.set('foo.qux.quux', 1);
+        settings.set('snap', 'pop');
+
+        observer.dispose();
+
+        assert.deepEqual(calls, [
+          [1, undefined, 'foo.qux.quux']
+        ]);
+      });
+
+      it('should call the watch handler immediately if immediate is set', () => {
+        const calls = [];
+
+        const observer = settings.watch('foo.bar', (newValue, oldValue, keyPath) => {
+          calls.push([newValue, oldValue, keyPath]);
+        }, { immediate: true });
+
+        observer.dispose();
+
+        assert.deepEqual(calls, [
+          ['baz', undefined, 'foo.bar']
+        ]);
+      });
+
+      it('should call the watch handler immediately for each key path matching a pattern', () => {
+        const calls = [];
+
+        settings.set('plugins', { a: { enabled: true }, b: { enabled: false } });
+
+        const observer = settings.watch('plugins.*.enabled', (newValue, oldValue, keyPath) => {
+          calls.push([newValue, oldValue, keyPath]);
+        }, { immediate: true });
+
+        observer.dispose();
+
+        assert.deepEqual(calls, [
+          [true, undefined, 'plugins.a.enabled'],
+          [false, undefined, 'plugins.b.enabled']
+        ]);
+      });
+
+      it('should call the handler when a value changes type but not loosely', () => {
+        const calls = [];
+
+        settings.set('count', 1);
+
+        const observer = settings.watch('count', (newValue, oldValue) => {
+          calls.push([newValue, oldValue]);
+        });
+        const patternObserver = settings.watch('*', (newValue, oldValue, keyPath) => {
+          calls.push([newValue, oldValue, keyPath]);
+        });
+
+        settings.set('count', '1');
+
+        observer.dispose();
+        patternObserver.dispose();
+
+        assert.deepStrictEqual(calls, [
+          ['1', 1],
+          ['1', 1, 'count']
+        ]);
+      });
+
+      it('should ignore changes within the watched value if deep is not set', () => {
+        const calls = [];
+
+        const observer = settings.watch('foo', newValue => {
+          calls.push(newValue);
+        }, { deep: false });
+
+        settings.set('foo.bar', 'qux');
+        settings.set('foo', 'qux');
+
+        observer.dispose();
+
+        assert.deepEqual(calls, ['qux']);
+      });
+
+      it('should ignore asynchronous changes within the watched value if deep is not set', () => {
+        const calls = [];
+
+        const observer = settings.watch('foo', newValue => {
+          calls.push(newValue);
+        }, { deep: false });
+
+        return settings.setAsync('foo.bar', 'qux')
+          .then(() => new Promise(resolve => setTimeout(resolve, 100)))
+          .then(() => {
+            observer.dispose();
+
+            assert.deepEqual(calls, []);
+          });
+      });
+
+      it('should call the handler when the watched value is replaced if deep is not set', () => {
+        const calls = [];
+
+        settings.set('win', { w: 1, h: 1 });
+
+        const observer = settings.watch('win', (newValue, oldValue) => {
+          calls.push([newValue, oldValue]);
+        }, { deep: false });
+
+        settings.set('win.w', 3);
+        settings.set('win', { w: 2, h: 2 });
+
+        observer.dispose();
+
+        assert.deepStrictEqual(calls, [
+          [{ w: 2, h: 2 }, { w: 3, h: 1 }]
+        ]);
+      });
+
+      it('should collapse changes made within the debounce delay', done => {
+        const calls = [];
+
+        const observer = settings.watch('foo.bar', (newValue, oldValue) => {
+          calls.push([newValue, oldValue]);
+        }, { debounce: 20 });
+
+        settings.set('foo.bar', 'qux');
+        settings.set('foo.bar', 'quux');
+
+        assert.deepEqual(calls, []);
+
+        setTimeout(() => {
+          observer.dispose();
+
+          assert.deepEqual(calls, [
+            ['quux', 'baz']
+          ]);
+          done();
+        }, 100);
+      });
+
+      it('should dispose the key path watcher after the first call if once is set', () => {
+        const calls = [];
+
+        settings.watch('foo.bar', newValue => {
+          calls.push(newValue);
+        }, { once: true });
+
+        settings.set('foo.bar', 'qux');
+        settings.set('foo.bar', 'quux');
+
+        assert.deepEqual(calls, ['qux']);
+      });
+
+      it('should not read the value of observers of unrelated key paths', () => {
+        const observer = settings.watch('snap', () => {});
+        let getCount = 0;
+
+        settings.get = function get(...args) {
+          getCount += 1;
+
+          return Object.getPrototypeOf(this).get.apply(this, args);
+        };
+
+        settings.set('foo.bar', 'qux');
+
+        delete settings.get;
+        observer.dispose();
+
+        assert.equal(getCount, 0);
+      });
+
+      it('should dispose the key path watcher', done => {
+        const observer = settings.watch('foo', () => {
+          throw Error('Observer was not disposed.');
+        });
+
+        observer.dispose();
+        settings.set('foo', 'baz');
+
+        setTimeout(done, 100);
+      });
+    });
+
+    describe('change event', () => {
+
+      it('should be given the changes made by electron-settings', done => {
+        settings.once('change', changes => {
+          assert.deepEqual(changes, [
+            {
+              keyPath: 'foo.bar',
+              oldValue: 'baz',
+              newValue: undefined,
+              source: 'internal'
+            },
+            {
+              keyPath: 'foo.qux',
+              oldValue: undefined,
+              newValue: [1, 2],
+              source: 'internal'
+            }
+          ]);
+          done();
+        });
+
+        settings.set('foo', { qux: [1, 2] });
+      });
+
+      it('should be given the changes and key paths written asynchronously', () => {
+        const events = [];
+
+        const handleChange = (changes, writtenKeyPaths) => {
+          events.push([changes, writtenKeyPaths]);
+        };
+
+        settings.on('change', handleChange);
+
+        return Promise.all([1, 2, 3].map(n => settings.setAsync('a', n)))
+          .then(() => new Promise(resolve => setTimeout(resolve, 100)))
+          .then(() => {
+            settings.removeListener('change', handleChange);
+
+            assert.deepEqual(events, [1, 2, 3].map(n => [
+              [
+                {
+                  keyPath: 'a',
+                  oldValue: n === 1 ? undefined : n - 1,
+                  newValue: n,
+                  source: 'internal'
+                }
+              ],
+              ['a']
+            ]));
+          });
+      });
+
+      it('should be given the changes not made by electron-settings', done => {
+        settings.once('change', changes => {
+          assert.deepEqual(changes, [
+            {
+              keyPath: 'foo.bar',
+              oldValue: 'baz',
+              newValue: 'qux',
+              source: 'external'
+            }
+          ]);
+          done();
+        });
+
+        fs.writeFileSync(settings.file(), JSON.stringify({ foo: { bar: 'qux' } }));
+      });
+
+      it('should redact secrets', done => {
+        const { Settings } = settings;
+        const store = new Settings({ name: randomstring.generate(16), secretKey: 'secret' });
+
+        store.once('change', changes => {
+          fs.unlinkSync(store.file());
+
+          assert.deepEqual(changes, [
+            {
+              keyPath: 'token',
+              oldValue: undefined,
+              newValue: '[REDACTED]',
+              source: 'internal'
+            }
+          ]);
+          done();
+        });
+
+        store.setSecret('token', 'hunter2');
+      });
+
+      it('should not be emitted if nothing has changed', () => {
+        let changeCount = 0;
+
+        const handleChange = () => {
+          changeCount += 1;
+        };
+
+        settings.on('change', handleChange);
+        settings.set('foo.bar', 'baz');
+        settings.removeListener('change', handleChange);
+
+        assert.equal(changeCount, 0);
+      });
+    });
+
+    describe('configure()', () => {
+
+      afterEach('reset options', () => {
+        settings.configure({ backup: false });
+
+        try {
+          fs.unlinkSync(settings.file() + '.bak');
+        } catch (err) {
+          // File may not exist.
+        }
+      });
+
+      it('should return the settings instance', done => {
+        assert.doesNotThrow(() => {
+          settings.configure({}).has('foo');
+          done();
+        });
+      });
+
+      it('should keep a backup of the last good settings file', () => {
+        settings.configure({ backup: true });
+        settings.set('foo.bar', 'qux');
+
+        const backup = JSON.parse(fs.readFileSync(settings.file() + '.bak'));
+
+        assert.deepEqual(backup, { foo: { bar: 'baz' } });
+      });
+
+      it('should not keep a backup by default', () => {
+        settings.set('foo.bar', 'qux');
+
+        assert.equal(fs.existsSync(settings.file() + '.bak'), false);
+      });
+    });
+
+    describe('corrupt settings file', () => {
+
+      afterEach('reset options and delete recovery files', () => {
+        const settingsFilePath = settings.file();
+        const dirPath = path.dirname(settingsFilePath);
+        const baseName = path.basename(settingsFilePath);
+
+        settings.configure({ backup: false, onCorrupt: 'restore' });
+
+        fs.readdirSync(dirPath).forEach(file => {
+          if (file === baseName + '.bak' || file.indexOf(baseName + '.corrupt-') === 0) {
+            fs.unlinkSync(path.join(dirPath, file));
+          }
+        });
+      });
+
+      /**
+       * Writes invalid JSON to the settings file, then calls the given
+       * callback once electron-settings has noticed the change.
+       *
+       * @param {Function} callback
+       */
+      const corruptSettingsFile = callback => {
+        settings.once('change', callback);
+
+        fs.writeFileSync(settings.file(), '{ foo:');
+      };
+
+      it('should reset the settings if there is no backup', done => {
+        corruptSettingsFile(() => {
+          assert.deepEqual(settings.getAll(), {});
+          done();
+        });
+      });
+
+      it('should restore the settings from the backup', done => {
+        settings.configure({ backup: true });
+        settings.set('foo.bar', 'qux');
+
+        corruptSettingsFile(() => {
+          assert.deepEqual(settings.getAll(), { foo: { bar: 'baz' } });
+          done();
+        });
+      });
+
+      it('should move the corrupt settings file aside', done => {
+        settings.once('corrupt', (err, corruptFilePath) => {
+          assert.ok(err instanceof SyntaxError);
+          assert.equal(fs.readFileSync(corruptFilePath, 'utf8'), '{ foo:');
+          done();
+        });
+
+        corruptSettingsFile(() => {});
+      });
+
+      it('should throw if the onCorrupt option is "throw"', done => {
+        settings.configure({ onCorrupt: 'throw' });
+
+        const handleChange = () => {};
+
+        // The settings file is read as soon as it changes, so the error is
+        // emitted rather than thrown.
+        settings.once('error', err => {
+          settings.removeListener('change', handleChange);
+
+          assert.ok(err instanceof SyntaxError);
+          done();
+        });
+
+        corruptSettingsFile(handleChange);
+      });
+
+      it('should not throw if nothing listens for the error', done => {
+        settings.configure({ onCorrupt: 'throw' });
+
+        const handleChange = () => {};
+
+        settings.on('change', handleChange);
+        fs.writeFileSync(settings.file(), '{ foo:');
+
+        setTimeout(() => {
+          settings.removeListener('change', handleChange);
+          done();
+        }, 200);
+      });
+
+      it('should call the onCorrupt option if it is a function', done => {
+        let corruptFilePath;
+
+        settings.configure({
+          onCorrupt(err, filePath) {
+            corruptFilePath = filePath;
+
+            return 'reset';
+          }
+        });
+
+        corruptSettingsFile(() => {
+          assert.deepEqual(settings.getAll(), {});
+          assert.equal(fs.existsSync(corruptFilePath), true);
+          done();
+        });
+      });
+    });
+
+    describe('setSchema()', () => {
+
+      beforeEach('set schema', () => {
+        settings.setSchema({
+          type: 'object',
+          properties: {
+            foo: {
+              type: 'object',
+              properties: {
+                bar: { type: 'string' }
+              }
+            },
+            snap: { type: 'number' }
+          }
+        });
+      });
+
+      afterEach('clear schema', () => {
+        settings.setSchema(null);
+      });
+
+      it('should return the settings instance', done => {
+        assert.doesNotThrow(() => {
+          settings.setSchema(null).has('foo');
+          done();
+        });
+      });
+
+      it('should throw if a set value is invalid', () => {
+        assert.throws(() => {
+          settings.set('foo.bar', 1);
+        }, err => err instanceof SettingsValidationError && err.keyPath === 'foo.bar');
+
+        assert.equal(settings.get('foo.bar'), 'baz');
+      });
+
+      it('should throw if all settings are invalid', () => {
+        assert.throws(() => {
+          settings.setAll({ snap: 'crackle' });
+        }, SettingsValidationError);
+      });
+
+      it('should throw if a default value is invalid', () => {
+        assert.throws(() => {
+          settings.get('snap', 'crackle');
+        }, SettingsValidationError);
+
+        assert.equal(settings.has('snap'), false);
+      });
+
+      it('should ignore existing violations elsewhere', () => {
+        fs.writeFileSync(settings.file(), JSON.stringify({ foo: { bar: 1 } }));
+        settings.setPath(settings.file());
+
+        assert.doesNotThrow(() => {
+          settings.set('snap', 1);
+        });
+      });
+
+      it('should reject invalid values set asynchronously', async () => {
+        try {
+          await settings.setAsync('snap', 'crackle');
+        } catch (err) {
+          assert.ok(err instanceof SettingsValidationError);
+
+          return;
+        }
+
+        throw new Error('Value was not rejected.');
+      });
+    });
+
+    describe('validate()', () => {
+
+      afterEach('clear schema', () => {
+        settings.setSchema(null);
+      });
+
+      it('should return an empty array if there is no schema', () => {
+        assert.deepEqual(settings.validate(), []);
+      });
+
+      it('should return every violation in the settings', () => {
+        settings.set('snap', 'crackle');
+        settings.setSchema({
+          properties: {
+            foo: { properties: { bar: { type: 'number' } } },
+            snap: { type: 'number' }
+          }
+        });
+
+        const keyPaths = settings.validate().map(err => err.keyPath);
+
+        assert.deepEqual(keyPaths, ['foo.bar', 'snap']);
+      });
+    });
+
+    describe('flush()', () => {
+
+      afterEach('reset options', () => {
+        settings.configure({ writeMode: 'immediate' });
+      });
+
+      it('should return the settings instance', done => {
+        assert.doesNotThrow(() => {
+          settings.flush().has('foo');
+          done();
+        });
+      });
+
+      it('should write pending settings to the disk', () => {
+        settings.configure({ writeMode: 'debounce' });
+        settings.set('foo.bar', 'qux');
+
+        assert.equal(settings.get('foo.bar'), 'qux');
+        assert.deepEqual(JSON.parse(fs.readFileSync(settings.file())), { foo: { bar: 'baz' } });
+
+        settings.flush();
+
+        assert.deepEqual(JSON.parse(fs.readFileSync(settings.file())), { foo: { bar: 'qux' } });
+      });
+    });
+
+    describe('write modes', () => {
+
+      const { Settings } = settings;
+
+      afterEach('reset options', () => {
+        settings.configure({ writeMode: 'immediate', writeDebounce: 100 });
+      });
+
+      it('should coalesce writes until the next tick', done => {
+        let changeCount = 0;
+
+        settings.configure({ writeMode: 'tick' });
+        settings.on('change', function handler() {
+          changeCount += 1;
+
+          settings.removeListener('change', handler);
+        });
+
+        for (let i = 0; i < 50; i++) {
+          settings.set(`foo.${i}`, i);
+        }
+
+        setTimeout(() => {
+          const obj = JSON.parse(fs.readFileSync(settings.file()));
+
+          assert.equal(obj.foo[49], 49);
+          assert.equal(changeCount, 1);
+          done();
+        }, 50);
+      });
+
+      it('should debounce writes', done => {
+        settings.configure({ writeMode: 'debounce', writeDebounce: 50 });
+        settings.set('foo.bar', 'qux');
+
+        setTimeout(() => {
+          settings.set('foo.bar', 'quux');
+
+          assert.deepEqual(JSON.parse(fs.readFileSync(settings.file())), { foo: { bar: 'baz' } });
+        }, 25);
+
+        setTimeout(() => {
+          assert.deepEqual(JSON.parse(fs.readFileSync(settings.file())), { foo: { bar: 'quux' } });
+          done();
+        }, 150);
+      });
+
+      it('should keep pending settings that could not be written', done => {
+        const dirPath = path.join(os.tmpdir(), randomstring.generate(8));
+        const filePath = path.join(dirPath, 'Settings');
+        fs.mkdirSync(dirPath);
+
+        const store = new Settings().setPath(filePath);
+
+        store.set('foo', 'bar');
+        store.configure({ writeMode: 'tick' });
+
+        fs.rmSync(dirPath, { recursive: true });
+
+        // Nothing listens for errors, so the failed write must not throw.
+        store.set('foo', 'baz');
+
+        setTimeout(() => {
+          fs.mkdirSync(dirPath);
+          store.flush();
+
+          assert.deepEqual(JSON.parse(fs.readFileSync(filePath)), { foo: 'baz' });
+
+          fs.rmSync(dirPath, { recursive: true });
+          done();
+        }, 50);
+      });
+
+      it('should not throw if pending settings cannot be written when the app quits', () => {
+        const dirPath = path.join(os.tmpdir(), randomstring.generate(8));
+        const filePath = path.join(dirPath, 'Settings');
+        fs.mkdirSync(dirPath);
+
+        const store = new Settings({ writeMode: 'debounce' }).setPath(filePath);
+
+        store.set('foo', 'bar');
+
+        fs.rmSync(dirPath, { recursive: true });
+
+        // Nothing listens for errors, so the failed write must not throw.
+        app.emit('before-quit');
+
+        fs.mkdirSync(dirPath);
+        store.flush();
+
+        assert.deepEqual(JSON.parse(fs.readFileSync(filePath)), { foo: 'bar' });
+
+        fs.rmSync(dirPath, { recursive: true });
+      });
+
+      it('should write pending settings when the write mode is set to "immediate"', () => {
+        settings.configure({ writeMode: 'tick' });
+        settings.set('foo.bar', 'qux');
+        settings.configure({ writeMode: 'immediate' });
+
+        assert.deepEqual(JSON.parse(fs.readFileSync(settings.file())), { foo: { bar: 'qux' } });
+      });
+    });
+
+    describe('file()', () => {
+
+      it('should return the path to the settings file', () => {
+        const userDataPath = app.getPath('userData');
+        const settingsFilePath = path.join(userDataPath, 'Settings');
+
+        assert.equal(settings.file(), settingsFilePath);
+      });
+    });
+
+    describe('new Settings()', () => {
+
+      const { Settings } = settings;
+
+      let store;
+
+      afterEach('delete store file', () => {
+        try {
+          fs.unlinkSync(store.file());
+        } catch (err) {
+          // File may not exist.
+        }
+      });
+
+      it('should store settings in a file with the given name', () => {
+        const name = randomstring.generate(16);
+        const userDataPath = app.getPath('userData');
+
+        store = new Settings({ name });
+
+        assert.equal(store.file(), path.join(userDataPath, name));
+      });
+
+      it('should store settings in the given directory with the given extension', () => {
+        const cwd = os.tmpdir();
+
+        store = new Settings({ name: 'window-state', cwd, fileExtension: 'json' });
+
+        assert.equal(store.file(), path.join(cwd, 'window-state.json'));
+      });
+
+      it('should keep settings isolated from other instances', () => {
+        store = new Settings({ name: randomstring.generate(16) });
+        store.set('foo.bar', 'qux');
+
+        assert.equal(settings.get('foo.bar'), 'baz');
+        assert.equal(store.get('foo.bar'), 'qux');
+      });
+
+      it('should not be affected by the path of other instances', () => {
+        const customSettingsFilePath = path.join(app.getPath('userData'), randomstring.generate(16));
+
+        store = new Settings({ name: randomstring.generate(16) });
+        settings.setPath(customSettingsFilePath);
+
+        assert.notEqual(store.file(), customSettingsFilePath);
+      });
+    });
+
+    describe('encryption', () => {
+
+      const { Settings } = settings;
+
+      let name;
+
+      beforeEach('generate name', () => {
+        name = randomstring.generate(16);
+      });
+
+      afterEach('delete store file', () => {
+        try {
+          fs.unlinkSync(path.join(app.getPath('userData'), name));
+        } catch (err) {
+          // File may not exist.
+        }
+      });
+
+      it('should encrypt the settings file', () => {
+        const store = new Settings({ name, encryptionKey: 'secret' });
+
+        store.set('foo.bar', 'baz');
+
+        const contents = fs.readFileSync(store.file(), 'utf8');
+
+        assert.equal(contents.indexOf('baz'), -1);
+        assert.equal(new Settings({ name, encryptionKey: 'secret' }).get('foo.bar'), 'baz');
+      });
+
+      it('should throw if the encryption key is wrong', () => {
+        const store = new Settings({ name, encryptionKey: 'secret' });
+
+        store.set('foo.bar', 'baz');
+
+        const contents = fs.readFileSync(store.file(), 'utf8');
+
+        assert.throws(() => {
+          new Settings({ name, encryptionKey: 'wrong' }).get('foo.bar');
+        }, SettingsDecryptionError);
+
+        assert.equal(fs.readFileSync(store.file(), 'utf8'), contents);
+      });
+
+      it('should throw if no encryption key is configured', () => {
+        const store = new Settings({ name, encryptionKey: 'secret' });
+
+        store.set('foo.bar', 'baz');
+
+        const contents = fs.readFileSync(store.file(), 'utf8');
+
+        assert.throws(() => {
+          new Settings({ name }).get('foo.bar');
+        }, err => err instanceof SettingsDecryptionError && /no encryption key/.test(err.message));
+
+        assert.equal(fs.readFileSync(store.file(), 'utf8'), contents);
+      });
+
+      it('should read an unencrypted settings file', () => {
+        new Settings({ name }).set('foo.bar', 'baz');
+
+        assert.equal(new Settings({ name, encryptionKey: 'secret' }).get('foo.bar'), 'baz');
+      });
+
+      it('should use a custom cipher', () => {
+        const cipher = {
+          encrypt: str => Buffer.from(str).toString('base64'),
+          decrypt: str => Buffer.from(str, 'base64').toString()
+        };
+
+        const store = new Settings({ name, cipher });
+
+        store.set('foo.bar', 'baz');
+
+        assert.equal(fs.readFileSync(store.file(), 'utf8'), cipher.encrypt('{"foo":{"bar":"baz"}}\n'));
+      });
+
+      it('should re-encrypt the settings file with a new key', () => {
+        const store = new Settings({ name, encryptionKey: 'secret' });
+
+        store.set('foo.bar', 'baz');
+        store.rekey('new secret');
+
+        assert.equal(new Settings({ name, encryptionKey: 'new secret' }).get('foo.bar'), 'baz');
+        assert.throws(() => {
+          new Settings({ name, encryptionKey: 'secret' }).get('foo.bar');
+        }, SettingsDecryptionError);
+      });
+
+      it('should decrypt the settings file if the new key is null', () => {
+        const store = new Settings({ name, encryptionKey: 'secret' });
+
+        store.set('foo.bar', 'baz');
+        store.rekey(null);
+
+        assert.deepEqual(JSON.parse(fs.readFileSync(store.file())), { foo: { bar: 'baz' } });
+      });
+    });
+
+    describe('secrets', () => {
+
+      afterEach('reset options', () => {
+        settings.configure({ secretKey: null, secretKeys: [] });
+      });
+
+      it('should encrypt secrets inside the settings file', () => {
+        settings.configure({ secretKey: 'secret' });
+        settings.setSecret('auth.token', 'hunter2');
+
+        const obj = JSON.parse(fs.readFileSync(settings.file()));
+
+        assert.deepEqual(obj.foo, { bar: 'baz' });
+        assert.equal(typeof obj.auth.token.$secret, 'string');
+        assert.equal(JSON.stringify(obj).indexOf('hunter2'), -1);
+      });
+
+      it('should decrypt secrets when they are read by key path', () => {
+        settings.configure({ secretKey: 'secret' });
+        settings.setSecret('auth.token', { value: 'hunter2' });
+
+        assert.deepEqual(settings.get('auth.token'), { value: 'hunter2' });
+        assert.deepEqual(settings.get('auth'), { token: { value: 'hunter2' } });
+      });
+
+      it('should redact secrets when all settings are read', () => {
+        settings.configure({ secretKey: 'secret' });
+        settings.setSecret('auth.token', 'hunter2');
+
+        assert.deepEqual(settings.getAll(), { foo: { bar: 'baz' }, auth: { token: '[REDACTED]' } });
+        assert.deepEqual(settings.getAll({ secrets: true }), { foo: { bar: 'baz' }, auth: { token: 'hunter2' } });
+      });
+
+      it('should reveal secrets in transactions and encrypt them again', () => {
+        settings.configure({ secretKey: 'secret' });
+        settings.setSecret('auth.token', 'hunter2');
+        settings.setSecret('auth.refresh', 'hunter3');
+
+        const { refresh } = JSON.parse(fs.readFileSync(settings.file())).auth;
+
+        settings.transaction(tx => {
+          assert.equal(tx.get('auth.token'), 'hunter2');
+
+          tx.set('auth.token', `${tx.get('auth.token')}!`);
+          tx.setAll(tx.getAll());
+        });
+
+        const obj = JSON.parse(fs.readFileSync(settings.file()));
+
+        assert.equal(JSON.stringify(obj).indexOf('hunter'), -1);
+        assert.deepEqual(obj.auth.refresh, refresh);
+        assert.equal(settings.get('auth.token'), 'hunter2!');
+        assert.equal(settings.get('auth.refresh'), 'hunter3');
+      });
+
+      it('should always store the given secret key paths as secrets', () => {
+        settings.configure({ secretKey: 'secret', secretKeys: ['auth.token'] });
+        settings.set('auth', { token: 'hunter2', user: 'cosmo' });
+
+        const obj = JSON.parse(fs.readFileSync(settings.file()));
+
+        assert.equal(obj.auth.user, 'cosmo');
+        assert.equal(typeof obj.auth.token.$secret, 'string');
+        assert.equal(settings.get('auth.token'), 'hunter2');
+      });
+
+      it('should throw if the secret key is wrong', () => {
+        settings.configure({ secretKey: 'secret' });
+        settings.setSecret('auth.token', 'hunter2');
+        settings.configure({ secretKey: 'wrong' });
+
+        assert.throws(() => {
+          settings.get('auth.token');
+        }, SettingsDecryptionError);
+      });
+
+      it('should throw if there is no secret key', () => {
+        assert.throws(() => {
+          settings.setSecret('auth.token', 'hunter2');
+        }, /secretKey/);
+      });
+    });
+
+    describe('serialization', () => {
+
+      const { Settings } = settings;
+
+      let filePath;
+
+      afterEach('delete store file', () => {
+        try {
+          fs.unlinkSync(filePath);
+        } catch (err) {
+          // File may not exist.
+        }
+      });
+
+      it('should keep comments in a JSON5 settings file', () => {
+        filePath = path.join(app.getPath('userData'), `${randomstring.generate(16)}.json5`);
+
+        fs.writeFileSync(filePath, "{\n  // The window width.\n  width: 800,\n  theme: 'dark',\n}\n");
+
+        const store = new Settings().setPath(filePath);
+
+        store.set('width', 1024);
+
+        const contents = fs.readFileSync(filePath, 'utf8');
+
+        assert.equal(contents, '{\n  // The window width.\n  width: 1024,\n  theme: "dark"\n}\n');
+        assert.equal(store.get('theme'), 'dark');
+      });
+
+      it('should write YAML if the settings file has a YAML extension', () => {
+        const cwd = app.getPath('userData');
+        const store = new Settings({ name: randomstring.generate(16), cwd, fileExtension: 'yml' });
+
+        filePath = store.file();
+        store.set('foo', { bar: ['baz', 'qux'] });
+
+        assert.equal(fs.readFileSync(filePath, 'utf8'), 'foo:\n  bar:\n  - baz\n  - qux\n');
+        assert.deepEqual(new Settings().setPath(filePath).get('foo.bar'), ['baz', 'qux']);
+      });
+
+      it('should use the given format regardless of the file extension', () => {
+        const name = randomstring.generate(16);
+        const store = new Settings({ name, serializer: Settings.Formats.YAML });
+
+        filePath = store.file();
+        store.set('foo', 'bar');
+
+        assert.equal(fs.readFileSync(filePath, 'utf8'), 'foo: bar\n');
+      });
+
+      it('should use a custom serializer', () => {
+        const serializer = {
+          parse: contents => JSON.parse(Buffer.from(contents, 'base64').toString()),
+          stringify: obj => Buffer.from(JSON.stringify(obj)).toString('base64')
+        };
+        const name = randomstring.generate(16);
+        const store = new Settings({ name, serializer });
+
+        filePath = store.file();
+        store.set('foo', 'bar');
+
+        assert.equal(fs.readFileSync(filePath, 'utf8'), Buffer.from('{"foo":"bar"}').toString('base64'));
+        assert.equal(new Settings({ name, serializer }).get('foo'), 'bar');
+      });
+    });
+
+    describe('backends', () => {
+
+      const { Settings, SettingsDirectoryBackend, SettingsMemoryBackend } = settings;
+
+      it('should store settings in memory', () => {
+        const name = randomstring.generate(16);
+        const backend = new SettingsMemoryBackend({ foo: 'bar' });
+        const store = new Settings({ name, backend });
+
+        store.set('baz', 'qux');
+
+        assert.deepEqual(store.getAll(), { foo: 'bar', baz: 'qux' });
+        assert.deepEqual(backend.read(), { foo: 'bar', baz: 'qux' });
+        assert.equal(fs.existsSync(store.file()), false);
+      });
+
+      it('should store each top level setting in its own file', () => {
+        const dirPath = path.join(app.getPath('userData'), randomstring.generate(16));
+        const store = new Settings({ backend: new SettingsDirectoryBackend(dirPath) });
+
+        store.setAll({ foo: { bar: 'baz' }, qux: 'quux' });
+
+        assert.deepEqual(fs.readdirSync(dirPath).sort(), ['foo.json', 'qux.json']);
+        assert.deepEqual(store.getAll(), { foo: { bar: 'baz' }, qux: 'quux' });
+
+        store.deleteAll();
+        fs.rmdirSync(dirPath);
+      });
+
+      it('should recover from a corrupt file in the settings directory', () => {
+        const dirPath = path.join(app.getPath('userData'), randomstring.generate(16));
+        let corruptFilePath;
+
+        fs.mkdirSync(dirPath);
+        fs.writeFileSync(path.join(dirPath, 'foo.json'), '{"foo":');
+
+        const store = new Settings({ backend: new SettingsDirectoryBackend(dirPath) });
+
+        store.on('corrupt', (err, location) => {
+          corruptFilePath = location;
+        });
+
+        assert.deepEqual(store.getAll(), {});
+        assert.equal(path.dirname(corruptFilePath), dirPath);
+        assert.equal(fs.readFileSync(corruptFilePath, 'utf8'), '{"foo":');
+
+        fs.rmSync(dirPath, { recursive: true });
+      });
+
+      it('should keep the other files in the settings directory when one is corrupt', () => {
+        const dirPath = path.join(app.getPath('userData'), randomstring.generate(16));
+
+        fs.mkdirSync(dirPath);
+        fs.writeFileSync(path.join(dirPath, 'window.json'), '{"window":{"width":800}}');
+        fs.writeFileSync(path.join(dirPath, 'plugins.json'), '{"plugins":');
+        fs.writeFileSync(path.join(dirPath, 'theme.json'), '{"theme":');
+
+        const store = new Settings({ backend: new SettingsDirectoryBackend(dirPath) });
+
+        assert.deepEqual(store.getAll(), { window: { width: 800 } });
+
+        const fileNames = fs.readdirSync(dirPath).sort();
+
+        assert.equal(fileNames.length, 3);
+        assert.ok(fileNames[0].startsWith('plugins.json.corrupt-'));
+        assert.ok(fileNames[1].startsWith('theme.json.corrupt-'));
+        assert.equal(fileNames[2], 'window.json');
+
+        fs.rmSync(dirPath, { recursive: true });
+      });
+    });
+
+    describe('locking', () => {
+
+      it('should not lose changes made by another process', () => {
+        settings.get('foo');
+
+        // The settings file watcher has not reported this change yet.
+        fs.writeFileSync(settings.file(), JSON.stringify({
+          foo: { bar: 'baz' },
+          snap: 'crackle'
+        }));
+
+        settings.set('foo.bar', 'qux');
+
+        assert.deepEqual(JSON.parse(fs.readFileSync(settings.file(), 'utf8')), {
+          foo: { bar: 'qux' },
+          snap: 'crackle'
+        });
+      });
+
+      it('should not lose changes made by another process when a default value is stored', () => {
+        settings.get('foo');
+
+        fs.writeFileSync(settings.file(), JSON.stringify({ foo: { bar: 'qux' } }));
+
+        return settings.getAsync('snap', 'crackle').then(() => {
+          assert.deepEqual(JSON.parse(fs.readFileSync(settings.file(), 'utf8')), {
+            foo: { bar: 'qux' },
+            snap: 'crackle'
+          });
+        });
+      });
+
+      it('should not leave the lockfile behind', () => {
+        settings.set('foo.bar', 'qux');
+
+        assert.equal(fs.existsSync(`${settings.file()}.lock`), false);
+      });
+
+      it('should throw a SettingsLockError if another process holds the lock', () => {
+        const lockFilePath = `${settings.file()}.lock`;
+        const owner = { pid: process.pid, hostname: os.hostname() };
+
+        settings.configure({ lockTimeout: 50 });
+        fs.writeFileSync(lockFilePath, JSON.stringify(owner));
+
+        try {
+          assert.throws(() => {
+            settings.set('foo.bar', 'qux');
+          }, SettingsLockError);
+        } finally {
+          fs.unlinkSync(lockFilePath);
+          settings.configure({ lockTimeout: settings.Settings.DefaultOptions.lockTimeout });
+        }
+
+        assert.equal(settings.get('foo.bar'), 'baz');
+      });
+
+      it('should share the lock with another instance on the same file', () => {
+        const { Settings } = settings;
+        const store = new Settings().setPath(settings.file());
+
+        store.configure({ lockTimeout: 50 });
+
+        // The change is emitted while the lock is still held.
+        settings.once('change', () => {
+          store.set('snap', 'crackle');
+        });
+
+        return settings.setAsync('foo.bar', 'qux').then(() => {
+          assert.deepEqual(JSON.parse(fs.readFileSync(settings.file(), 'utf8')), {
+            foo: { bar: 'qux' },
+            snap: 'crackle'
+          });
+          assert.equal(fs.existsSync(`${settings.file()}.lock`), false);
+        });
+      });
+
+      it('should not lock the settings file if lock is false', () => {
+        const lockFilePath = `${settings.file()}.lock`;
+
+        settings.configure({ lock: false });
+        fs.writeFileSync(lockFilePath, '');
+
+        try {
+          settings.set('foo.bar', 'qux');
+        } finally {
+          fs.unlinkSync(lockFilePath);
+          settings.configure({ lock: true });
+        }
+
+        assert.equal(settings.get('foo.bar'), 'qux');
       });
     });
 